@@ -0,0 +1,144 @@
+/*
+    Graph analysis for the Hanayama Cast Duet puzzle.
+
+    Studies the structure of the graph built by the solver: connected components, positions that can't
+    reach FREE, distances to FREE, graph diameter and counts of nodes and edges by type.
+    All the results are plain objects that can be serialized to JSON, so that reports for different
+    frames (see the sketch option of initSolver) can be compared.
+*/
+function initAnalysis( solver ) {
+    const FreeName = solver.FreeHalfRing;
+
+    // Returns the connected components of the graph, each as a sorted list of node names, biggest component first.
+    // Moves are reversible, so the nodes reachable from a node are exactly the nodes of its component.
+    function getComponents() {
+        var components = [];
+        var assigned = {};
+
+        solver.getNodeNames().forEach( function(name) {
+            if( assigned[name] ) return;
+
+            let component = Object.keys( solver.getDistances(name) ).sort();
+
+            component.forEach( function(n) { assigned[n] = true; } );
+            components.push( component );
+        } );
+
+        components.sort( function(a, b) { return b.length - a.length; } );
+
+        return components;
+    }
+
+    // Returns the distance (minimum number of moves) of every position to FREE, positions that can't reach FREE are left out
+    function getDistancesToFree() {
+        return solver.getDistances( FreeName );
+    }
+
+    // Returns the sorted list of positions that can't reach FREE at all
+    function getUnreachableFromFree() {
+        var distances = getDistancesToFree();
+
+        return solver.getNodeNames().filter( function(name) { return distances[name] === undefined; } ).sort();
+    }
+
+    // Returns the graph diameter, i.e. the longest of all shortest paths between two connected positions,
+    // along with one pair of positions that are that far apart
+    function getDiameter() {
+        var table = solver.getDistanceTable();
+        var diameter = { length: 0, from: FreeName, to: FreeName };
+
+        for( let from in table ) {
+            for( let to in table[from] ) {
+                if( table[from][to] > diameter.length ) {
+                    diameter = { length: table[from][to], from: from, to: to };
+                }
+            }
+        }
+
+        return diameter;
+    }
+
+    // Returns the longest distance of a distance map (see solver.getDistances), e.g. the distance of the farthest
+    // positions from FREE for the map of getDistancesToFree
+    function getMaxDistance( distances ) {
+        var max = 0;
+
+        for( let name in distances ) {
+            max = Math.max( max, distances[name] );
+        }
+
+        return max;
+    }
+
+    // Returns the positions with the longest distance to FREE, hardest first (10 positions by default)
+    function getHardestPositions( count ) {
+        var distances = getDistancesToFree();
+
+        return Object.keys( distances )
+            .sort( function(a, b) { return distances[b] - distances[a] || (a < b ? -1 : 1); } )
+            .slice( 0, count || 10 )
+            .map( function(name) { return { position: name, distance: distances[name] }; } );
+    }
+
+    // Counts nodes by peg side and edges by move type. Moves are reversible, so each pair of connected positions
+    // is counted as a single edge.
+    function getCounts() {
+        var counts = {
+            nodes: 0,
+            nodesBySide: { U: 0, D: 0, FREE: 0 },
+            edges: 0,
+            edgesByType: {}
+        }
+
+        solver.getNodeNames().forEach( function(name) {
+            let moves = solver.getMoves(name);
+
+            counts.nodes++;
+            counts.nodesBySide[ name == FreeName ? FreeName : name[0] ]++;
+
+            for( let target in moves ) {
+                if( target < name ) continue; // Already counted from the other side
+
+                let type = moves[target].type;
+
+                counts.edges++;
+                counts.edgesByType[type] = (counts.edgesByType[type] || 0) + 1;
+            }
+        } );
+
+        return counts;
+    }
+
+    // Runs the full analysis
+    function analyze() {
+        var components = getComponents();
+
+        return {
+            counts: getCounts(),
+            components: {
+                count: components.length,
+                sizes: components.map( function(c) { return c.length; } ),
+                list: components
+            },
+            unreachableFromFree: getUnreachableFromFree(),
+            distancesToFree: getDistancesToFree(),
+            diameter: getDiameter(),
+            hardestPositions: getHardestPositions()
+        }
+    }
+
+    return {
+        getComponents: getComponents,
+        getDistancesToFree: getDistancesToFree,
+        getUnreachableFromFree: getUnreachableFromFree,
+        getDiameter: getDiameter,
+        getMaxDistance: getMaxDistance,
+        getHardestPositions: getHardestPositions,
+        getCounts: getCounts,
+        analyze: analyze
+    }
+}
+
+if( typeof module !== "undefined" ) {
+    module.exports = initAnalysis;
+}
@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+/*
+    Command line interface of the Cast Duet solver.
+
+    castduet solve <start> <goal>           Finds the shortest move sequence between two positions
+    castduet validate <sequence-file>       Checks a sequence of positions (separated by spaces, ";" or new lines, "-" for stdin)
+    castduet analyze                        Reports the structure of the move graph
+    castduet graph --format dot|graphml|json
+                                            Exports the move graph
+
+    Add --json to any command for machine readable output. Positions of solve and validate can be written
+    as the puzzle is held with --orientation, e.g. --orientation hanayama-90 (see orientation.js).
+    The exit code is 0 on success, 1 for a wrong command line, 2 for invalid positions or sequences,
+    and 3 if the goal can't be reached from the start.
+*/
+const fs = require("fs");
+
+const { initSolver, initAnalysis, initGraphExport, initOrientation } = require("../index.js");
+
+const ExitCodes = {
+    Ok: 0,
+    Usage: 1,
+    Invalid: 2,
+    Unreachable: 3
+}
+
+const Usage = [
+    "Usage:",
+    "  castduet solve <start> <goal> [--orientation <name>] [--json]",
+    "  castduet validate <sequence-file> [--orientation <name>] [--json]",
+    "  castduet analyze [--json]",
+    "  castduet graph [--format dot|graphml|json]"
+].join("\n");
+
+// Splits the command line into positional arguments and --options (an option without a value is true)
+function parseArguments( argv ) {
+    var args = { positional: [], options: {} };
+
+    for( let i=0; i<argv.length; i++ ) {
+        let match = argv[i].match(/^--([a-z]+)(?:=(.*))?$/);
+
+        if( ! match ) {
+            args.positional.push( argv[i] );
+        }
+        else if( match[2] !== undefined ) {
+            args.options[match[1]] = match[2];
+        }
+        else if( (match[1] == "format" || match[1] == "orientation") && i+1 < argv.length ) {
+            args.options[match[1]] = argv[++i];
+        }
+        else {
+            args.options[match[1]] = true;
+        }
+    }
+
+    return args;
+}
+
+function printJSON( value ) {
+    console.log( JSON.stringify( value, null, 2 ) );
+}
+
+function solve( solver, args ) {
+    if( args.positional.length != 2 ) {
+        return usageError("solve needs a start and a goal position");
+    }
+
+    var oriented = getOrientation( solver, args );
+
+    if( ! oriented ) {
+        return ExitCodes.Usage;
+    }
+
+    var result = oriented.findSolution( args.positional[0], args.positional[1] );
+
+    if( result.ok ) {
+        result.moves = oriented.describeMoves( result.path );
+    }
+
+    if( args.options.json ) {
+        printJSON( result );
+    }
+    else if( result.ok ) {
+        console.log( result.path[0] + " (start)" );
+
+        result.moves.forEach( function(move, i) {
+            console.log( (i+1) + ". " + move.to + ": " + move.description );
+        } );
+
+        console.log( result.moves.length + " moves" + (result.cost != result.moves.length ? ", cost " + result.cost : "") );
+    }
+    else {
+        console.error( result.error.message );
+    }
+
+    if( result.ok ) {
+        return ExitCodes.Ok;
+    }
+
+    return result.error.code == solver.ErrorCodes.Unreachable ? ExitCodes.Unreachable : ExitCodes.Invalid;
+}
+
+function validate( solver, args ) {
+    if( args.positional.length != 1 ) {
+        return usageError("validate needs a sequence file");
+    }
+
+    var text;
+
+    try {
+        text = fs.readFileSync( args.positional[0] == "-" ? 0 : args.positional[0], "utf8" );
+    }
+    catch( e ) {
+        console.error( "Cannot read " + args.positional[0] + ": " + e.message );
+        return ExitCodes.Usage;
+    }
+
+    var oriented = getOrientation( solver, args );
+
+    if( ! oriented ) {
+        return ExitCodes.Usage;
+    }
+
+    // Same separators as the sequence checker of the web page
+    var positions = text.split(/[\s;]+/).filter( function(p) { return p != ""; } );
+    var result = oriented.validateSequence( positions );
+
+    if( args.options.json ) {
+        printJSON( Object.assign( { positions: positions }, result ) );
+    }
+    else if( result.valid ) {
+        console.log( "Valid sequence of " + positions.length + " positions" );
+    }
+    else {
+        console.log( "Invalid at step " + result.step + " (" + positions[result.step] + "): " + result.reason );
+    }
+
+    return result.valid ? ExitCodes.Ok : ExitCodes.Invalid;
+}
+
+function analyze( solver, args ) {
+    var report = initAnalysis( solver ).analyze();
+
+    if( args.options.json ) {
+        printJSON( report );
+        return ExitCodes.Ok;
+    }
+
+    var counts = report.counts;
+
+    console.log( "Positions: " + counts.nodes + " (" + counts.nodesBySide.U + " U, " + counts.nodesBySide.D + " D, " + counts.nodesBySide.FREE + " FREE)" );
+    console.log( "Moves: " + counts.edges + " (" + Object.keys(counts.edgesByType).sort().map( function(type) { return counts.edgesByType[type] + " " + type; } ).join(", ") + ")" );
+    console.log( "Connected components: " + report.components.count + " (sizes " + report.components.sizes.join(", ") + ")" );
+    console.log( "Positions that can't reach FREE: " + report.unreachableFromFree.length );
+    console.log( "Diameter: " + report.diameter.length + " moves, from " + report.diameter.from + " to " + report.diameter.to );
+    console.log( "Hardest positions to free:" );
+
+    report.hardestPositions.forEach( function(p) {
+        console.log( "  " + p.position + ": " + p.distance + " moves" );
+    } );
+
+    return ExitCodes.Ok;
+}
+
+function graph( solver, args ) {
+    var graphExport = initGraphExport( solver );
+    var format = args.options.format || (args.options.json ? "json" : "dot");
+
+    if( graphExport.Formats.indexOf(format) < 0 ) {
+        return usageError("unknown graph format: " + format);
+    }
+
+    process.stdout.write( graphExport.exportGraph( format ) );
+
+    return ExitCodes.Ok;
+}
+
+// Returns the solver as seen in the orientation of the --orientation option, or undefined if it's not valid
+function getOrientation( solver, args ) {
+    try {
+        return initOrientation( solver, args.options.orientation );
+    }
+    catch( e ) {
+        usageError( e.message );
+    }
+}
+
+function usageError( message ) {
+    console.error( "castduet: " + message );
+    console.error( Usage );
+
+    return ExitCodes.Usage;
+}
+
+function main( argv ) {
+    const Commands = {
+        solve: solve,
+        validate: validate,
+        analyze: analyze,
+        graph: graph
+    }
+
+    var args = parseArguments( argv );
+    var command = args.positional.shift();
+
+    if( args.options.help || command == "help" ) {
+        console.log( Usage );
+        return ExitCodes.Ok;
+    }
+
+    if( ! Commands[command] ) {
+        return usageError( command ? "unknown command: " + command : "missing command" );
+    }
+
+    return Commands[command]( initSolver(), args );
+}
+
+// The output may be closed early, e.g. when piped to head
+process.stdout.on( "error", function(e) {
+    if( e.code != "EPIPE" ) throw e;
+} );
+
+process.exitCode = main( process.argv.slice(2) );
@@ -0,0 +1,219 @@
+/*
+    Export of the Cast Duet move graph.
+
+    Serializes the graph built by the solver to Graphviz DOT, GraphML or JSON, so that the state space can be
+    visualized with external tools and compared after changes to the topology sketch.
+
+    Moves are reversible, so the graph is exported as undirected: there's one edge for each pair of connected
+    positions, and the move attributes describe the move from the source to the target.
+
+    The JSON format is:
+
+        {
+            "format": "castduet-graph",
+            "version": 1,
+            "grid": { "cols": 3, "rows": 3 },
+            "nodes": [
+                { "id": "FREE", "free": true },
+                { "id": "U(3,1)-(4,0)", "free": false, "pegSide": "U", "peg": { "col": 3, "row": 1 }, "ring": { "col": 4, "row": 0 }, "rotation": 6 },
+                ...
+            ],
+            "edges": [
+                { "source": "U(3,1)-(4,0)", "target": "U(3,1)-(4,1)", "type": "free", "direction": "ccw", "angle": 45 },
+                { "source": "U(3,1)-(4,2)", "target": "U(3,2)-(4,2)", "type": "rotate", "direction": "cw", "angle": 45,
+                  "dentName": "tl", "dentCell": { "col": 3, "row": 1 }, "side": "DUET", "corner": true },
+                ...
+            ]
+        }
+
+    where pegSide is "U" or "D", rotation is the ring orientation from 0 to 7 (see solver.js) and the edge attributes
+    are the move description of the solver: type is one of "rotate", "slide", "free" (rotation outside the frame) or "flip",
+    and corner is only present for moves thru a dent of the rounded corner.
+*/
+function initGraphExport( solver ) {
+    const FormatName = "castduet-graph";
+    const FormatVersion = 1;
+
+    // Returns the graph in the JSON format described above, as an object
+    function toObject() {
+        var nodes = [];
+        var edges = [];
+        var names = solver.getNodeNames().sort();
+
+        names.forEach( function(name) {
+            let info = solver.getNodeInfo(name);
+
+            if( info.isFree ) {
+                nodes.push( { id: name, free: true } );
+            }
+            else {
+                nodes.push( {
+                    id: name,
+                    free: false,
+                    pegSide: info.pegPos,
+                    peg: { col: info.pegCol, row: info.pegRow },
+                    ring: { col: info.ringCol, row: info.ringRow },
+                    rotation: info.rotation
+                } );
+            }
+        } );
+
+        names.forEach( function(name) {
+            let moves = solver.getMoves(name);
+
+            Object.keys(moves).sort().forEach( function(target) {
+                if( target < name ) return; // Already exported from the other side
+
+                edges.push( Object.assign( { source: name, target: target }, moves[target] ) );
+            } );
+        } );
+
+        return {
+            format: FormatName,
+            version: FormatVersion,
+            grid: { cols: solver.GridCols, rows: solver.GridRows },
+            nodes: nodes,
+            edges: edges
+        }
+    }
+
+    function toJSON() {
+        return JSON.stringify( toObject(), null, 2 );
+    }
+
+    // Returns the flat list of attributes of a node or edge, as [name, value] pairs
+    function getNodeAttributes( node ) {
+        if( node.free ) {
+            return [ ["free", true] ];
+        }
+
+        return [
+            ["free", false],
+            ["pegSide", node.pegSide],
+            ["peg", node.peg.col + "," + node.peg.row],
+            ["ring", node.ring.col + "," + node.ring.row],
+            ["rotation", node.rotation]
+        ]
+    }
+
+    function getEdgeAttributes( edge ) {
+        var attributes = [ ["type", edge.type] ];
+
+        ["direction", "angle", "dentName", "side", "corner"].forEach( function(key) {
+            if( edge[key] !== undefined ) attributes.push( [key, edge[key]] );
+        } );
+
+        if( edge.dentCell ) {
+            attributes.push( ["dentCell", edge.dentCell.col + "," + edge.dentCell.row] );
+        }
+
+        return attributes;
+    }
+
+    // See https://graphviz.org/doc/info/lang.html
+    function toDOT() {
+        var graph = toObject();
+        var lines = [ "graph castduet {" ];
+
+        function quote( value ) {
+            return '"' + String(value).replace(/"/g, '\\"') + '"';
+        }
+
+        function formatAttributes( attributes ) {
+            return "[" + attributes.map( function(a) { return a[0] + "=" + quote(a[1]); } ).join(", ") + "]";
+        }
+
+        graph.nodes.forEach( function(node) {
+            lines.push( "    " + quote(node.id) + " " + formatAttributes( getNodeAttributes(node) ) + ";" );
+        } );
+
+        graph.edges.forEach( function(edge) {
+            lines.push( "    " + quote(edge.source) + " -- " + quote(edge.target) + " " + formatAttributes( getEdgeAttributes(edge) ) + ";" );
+        } );
+
+        lines.push( "}" );
+
+        return lines.join("\n") + "\n";
+    }
+
+    // See http://graphml.graphdrawing.org/
+    function toGraphML() {
+        var graph = toObject();
+        var lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">'
+        ];
+
+        function escape( value ) {
+            return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+        }
+
+        function getType( value ) {
+            return typeof value == "number" ? "int" : typeof value == "boolean" ? "boolean" : "string";
+        }
+
+        // Declare the attribute keys, taking the types from the first value found
+        var keys = {};
+
+        function declareKeys( domain, attributes ) {
+            attributes.forEach( function(a) {
+                let id = domain + "_" + a[0];
+
+                if( ! keys[id] ) {
+                    keys[id] = true;
+                    lines.push( '  <key id="' + id + '" for="' + domain + '" attr.name="' + a[0] + '" attr.type="' + getType(a[1]) + '"/>' );
+                }
+            } );
+        }
+
+        function formatData( domain, attributes ) {
+            return attributes.map( function(a) { return '<data key="' + domain + "_" + a[0] + '">' + escape(a[1]) + '</data>'; } ).join("");
+        }
+
+        graph.nodes.forEach( function(node) { declareKeys( "node", getNodeAttributes(node) ); } );
+        graph.edges.forEach( function(edge) { declareKeys( "edge", getEdgeAttributes(edge) ); } );
+
+        lines.push( '  <graph id="castduet" edgedefault="undirected">' );
+
+        graph.nodes.forEach( function(node) {
+            lines.push( '    <node id="' + escape(node.id) + '">' + formatData( "node", getNodeAttributes(node) ) + '</node>' );
+        } );
+
+        graph.edges.forEach( function(edge) {
+            lines.push( '    <edge source="' + escape(edge.source) + '" target="' + escape(edge.target) + '">' + formatData( "edge", getEdgeAttributes(edge) ) + '</edge>' );
+        } );
+
+        lines.push( '  </graph>' );
+        lines.push( '</graphml>' );
+
+        return lines.join("\n") + "\n";
+    }
+
+    // Exports the graph in the specified format: "dot", "graphml" or "json"
+    function exportGraph( format ) {
+        switch( format ) {
+        case "dot":
+            return toDOT();
+        case "graphml":
+            return toGraphML();
+        case "json":
+            return toJSON();
+        }
+
+        throw new Error("Unknown graph format: " + format);
+    }
+
+    return {
+        Formats: ["dot", "graphml", "json"],
+
+        toObject: toObject,
+        toDOT: toDOT,
+        toGraphML: toGraphML,
+        toJSON: toJSON,
+        exportGraph: exportGraph
+    }
+}
+
+if( typeof module !== "undefined" ) {
+    module.exports = initGraphExport;
+}
@@ -0,0 +1,117 @@
+/*
+    Difficulty heatmap of the Cast Duet puzzle.
+
+    Shows every half ring position on the coordinate grid (see picker.js), colored by its distance from a reference
+    position such as FREE or the initial positions: green positions are close, red ones are far, gray ones can't
+    reach the reference at all. Each cell is split into 8 slices, one for each direction of the solid part of the ring
+    from the peg in that cell, and the positions with the peg Up and Down are shown as separate layers.
+    Clicking a slice passes its position to onPick.
+*/
+function initHeatmap( solver, analysis, renderer2d, container, onPick ) {
+    const CellSize = renderer2d.CellSize;
+    const SliceRadius = 27;
+    const UnreachableColor = "#bbb";
+
+    var reference = solver.FreeHalfRing;
+    var layer = "U";
+
+    // Returns the color of a distance, from green (0) to red (the maximum distance)
+    function getColor( distance, maxDistance ) {
+        if( distance === undefined ) {
+            return UnreachableColor;
+        }
+
+        return "hsl(" + Math.round( 120 * (1 - distance / Math.max(1, maxDistance)) ) + ",75%,50%)";
+    }
+
+    // Returns the points of the slice of a position, as a pie slice of 45° around the direction of the ring
+    function getSlicePoints( info, rows ) {
+        var x = (info.pegCol + 0.5) * CellSize;
+        var y = (rows - 1 - info.pegRow + 0.5) * CellSize;
+        var angle = Math.atan2( info.ringRow - info.pegRow, info.ringCol - info.pegCol );
+        var points = [ [x, y] ];
+
+        for( let a=-2; a<=2; a++ ) {
+            let pointAngle = angle + a * Math.PI / 16;
+            points.push( [ x + SliceRadius * Math.cos(pointAngle), y - SliceRadius * Math.sin(pointAngle) ] );
+        }
+
+        return points.map( function(p) { return p[0].toFixed(1) + "," + p[1].toFixed(1); } ).join(" ");
+    }
+
+    function draw() {
+        var cols = solver.GridCols + 2;
+        var rows = solver.GridRows + 2;
+        var distances = solver.getDistances( reference );
+        var maxDistance = analysis.getMaxDistance( distances );
+        var svg = [];
+
+        svg.push( '<svg xmlns="http://www.w3.org/2000/svg" width="' + (cols * CellSize) + '" height="' + (rows * CellSize) + '" style="cursor:pointer">' );
+        svg.push( '<image href="' + renderer2d.renderPosition( solver.FreeHalfRing ) + '" x="0" y="0" opacity="0.5"/>' );
+
+        solver.getNodeNames().forEach( function(name) {
+            let info = solver.getNodeInfo( name );
+
+            if( info.isFree || info.pegPos != layer ) {
+                return;
+            }
+
+            let distance = distances[name];
+            let title = name + (distance === undefined ? ": can't reach " : ": " + distance + " moves from ") + reference;
+
+            svg.push( '<polygon data-position="' + name + '" points="' + getSlicePoints(info, rows) + '" fill="' + getColor(distance, maxDistance) + '" stroke="white" stroke-width="0.5">' );
+            svg.push( '<title>' + title + '</title></polygon>' );
+        } );
+
+        svg.push( '</svg>' );
+
+        container.innerHTML = svg.join("");
+    }
+
+    container.addEventListener( "click", function(event) {
+        var position = event.target.getAttribute("data-position");
+
+        if( position ) {
+            onPick( position, reference );
+        }
+    } );
+
+    // Shows the distances from a reference position (FREE by default), for the pegs on one side ("U" by default, or "D")
+    function show( referencePosition, pegPos ) {
+        var canonical = solver.canonicalizePosition( referencePosition || solver.FreeHalfRing );
+
+        if( ! canonical.ok || canonical.isJoint ) {
+            throw new Error("The heatmap reference must be a half ring position");
+        }
+
+        if( pegPos && pegPos != "U" && pegPos != "D" ) {
+            throw new Error("Unknown layer: " + pegPos);
+        }
+
+        reference = canonical.position;
+        layer = pegPos || "U";
+
+        draw();
+    }
+
+    // Returns the legend of the colors, as the distances of the greenest and the reddest colors
+    function getLegend() {
+        var distances = solver.getDistances( reference );
+        var maxDistance = analysis.getMaxDistance( distances );
+
+        return [ 0, Math.round(maxDistance / 2), maxDistance ].map( function(distance) {
+            return { distance: distance, color: getColor(distance, maxDistance) };
+        } ).concat( [ { distance: undefined, color: UnreachableColor } ] );
+    }
+
+    return {
+        show: show,
+        getLegend: getLegend,
+        getReference: function() {
+            return reference;
+        },
+        getLayer: function() {
+            return layer;
+        }
+    }
+}
@@ -0,0 +1,20 @@
+/*
+    Node entry point of the Cast Duet solver.
+
+    The browser scripts define global init functions, in Node they are exported by this module:
+
+        const { initSolver, initAnalysis } = require("castduet-solver");
+
+        const solver = initSolver();
+        const result = solver.findSolution( "D(3,1)-(4,0)", "FREE" );
+*/
+module.exports = {
+    initSolver: require("./solver.js"),
+    initAnalysis: require("./analysis.js"),
+    initGraphExport: require("./graphexport.js"),
+    initRenderer2D: require("./renderer2d.js"),
+    initSolutionExport: require("./solutionexport.js"),
+    initOrientation: require("./orientation.js"),
+    initTrainer: require("./trainer.js"),
+    initSequenceLibrary: require("./library.js")
+}
@@ -0,0 +1,17 @@
+/*
+    ES module entry point of the Cast Duet solver, see index.js:
+
+        import { initSolver } from "castduet-solver";
+*/
+import castduet from "./index.js";
+
+export const initSolver = castduet.initSolver;
+export const initAnalysis = castduet.initAnalysis;
+export const initGraphExport = castduet.initGraphExport;
+export const initRenderer2D = castduet.initRenderer2D;
+export const initSolutionExport = castduet.initSolutionExport;
+export const initOrientation = castduet.initOrientation;
+export const initTrainer = castduet.initTrainer;
+export const initSequenceLibrary = castduet.initSequenceLibrary;
+
+export default castduet;
@@ -0,0 +1,269 @@
+/*
+    Library of saved Cast Duet sequences, kept in the browser local storage.
+
+    Each entry has a name (which identifies it), the start position and the goal of the solve, the move costs of the solve
+    (see solver.getSolutionCost), the solved path, the alternative chosen among the solutions found (from 1), free notes
+    and the time it was saved.
+    Positions are saved in the standard notation of the solver, so entries don't depend on the orientation
+    or on the page that saved them.
+
+    The library can be exported to JSON and imported back, e.g. to share it or to move it to another browser:
+
+        { "format": "castduet-library", "version": 1, "entries": [ { "name": "Free right half", ... } ] }
+
+    Loading an entry checks it again against the graph of the solver, as the path may have been saved by another
+    version of the solver or edited by hand.
+*/
+function initSequenceLibrary( solver, storage ) {
+    const StorageKey = "castduet-library";
+    const Format = "castduet-library";
+    const Version = 1;
+
+    const ErrorCodes = {
+        InvalidEntry: "INVALID_ENTRY",
+        UnknownEntry: "UNKNOWN_ENTRY",
+        InvalidFile: "INVALID_FILE",
+        InvalidPath: "INVALID_PATH",
+        StorageFailed: "STORAGE_FAILED"
+    }
+
+    storage = storage || getLocalStorage();
+
+    // Local storage may not be available (e.g. disabled by the user), in that case the library lasts as long as the page
+    function getLocalStorage() {
+        var items = {};
+
+        try {
+            if( typeof localStorage !== "undefined" ) {
+                return localStorage;
+            }
+        }
+        catch( e ) {
+            // Access denied, see below
+        }
+
+        return {
+            getItem: function(key) { return items[key] === undefined ? null : items[key]; },
+            setItem: function(key, value) { items[key] = String(value); }
+        }
+    }
+
+    function getErrorResult( code, message, field ) {
+        return {
+            ok: false,
+            error: {
+                code: code,
+                message: message,
+                field: field
+            }
+        }
+    }
+
+    // Reads the entries from the storage, a library that can't be read is empty
+    function readEntries() {
+        try {
+            let entries = JSON.parse( storage.getItem(StorageKey) || "[]" );
+
+            return Array.isArray(entries) ? entries.filter( function(entry) { return entry && typeof entry.name == "string"; } ) : [];
+        }
+        catch( e ) {
+            return [];
+        }
+    }
+
+    // Writes the entries to the storage, returns an error result if they can't be written (e.g. the storage is full)
+    // or undefined if they were written
+    function writeEntries( entries ) {
+        try {
+            storage.setItem( StorageKey, JSON.stringify(entries) );
+        }
+        catch( e ) {
+            return getErrorResult( ErrorCodes.StorageFailed, "The library can't be saved in the browser: " + e.message );
+        }
+    }
+
+    // Checks the fields of an entry, returns an error result or undefined if the entry is fine
+    function checkEntry( entry ) {
+        if( ! entry || typeof entry != "object" ) {
+            return getErrorResult( ErrorCodes.InvalidEntry, "An entry must be an object" );
+        }
+
+        if( typeof entry.name != "string" || entry.name.trim() == "" ) {
+            return getErrorResult( ErrorCodes.InvalidEntry, "An entry must have a name", "name" );
+        }
+
+        if( typeof entry.start != "string" || typeof entry.goal != "string" ) {
+            return getErrorResult( ErrorCodes.InvalidEntry, "Entry " + entry.name + " must have a start position and a goal", "start" );
+        }
+
+        if( ! Array.isArray(entry.path) || entry.path.length == 0 || ! entry.path.every( function(p) { return typeof p == "string"; } ) ) {
+            return getErrorResult( ErrorCodes.InvalidEntry, "Entry " + entry.name + " must have a path, as a list of positions", "path" );
+        }
+
+        var costsError = solver.checkCosts( entry.costs );
+
+        if( costsError ) {
+            return getErrorResult( ErrorCodes.InvalidEntry, "Entry " + entry.name + ": " + costsError.error.message, "costs" );
+        }
+    }
+
+    // Returns a copy of an entry with only the known fields
+    function copyEntry( entry ) {
+        return {
+            name: entry.name.trim(),
+            start: entry.start,
+            goal: entry.goal,
+            costs: Object.assign( {}, entry.costs ),
+            path: entry.path.slice(),
+            alternative: entry.alternative >= 1 ? Math.floor(entry.alternative) : 1,
+            notes: typeof entry.notes == "string" ? entry.notes : "",
+            savedAt: entry.savedAt || new Date().toISOString()
+        }
+    }
+
+    // Returns all the entries, sorted by name
+    function list() {
+        return readEntries().sort( function(a, b) { return a.name.localeCompare(b.name); } );
+    }
+
+    function get( name ) {
+        return readEntries().filter( function(entry) { return entry.name == name; } )[0];
+    }
+
+    // Saves an entry { name, start, goal, costs, path, alternative, notes }, replacing the entry with the same name if any.
+    // Returns { ok: true, entry } or { ok: false, error: { code, message, field } }.
+    function save( entry ) {
+        var error = checkEntry( entry );
+
+        if( error ) {
+            return error;
+        }
+
+        entry = copyEntry( Object.assign( {}, entry, { savedAt: undefined } ) );
+
+        var entries = readEntries().filter( function(e) { return e.name != entry.name; } );
+        entries.push( entry );
+
+        return writeEntries( entries ) || { ok: true, entry: entry };
+    }
+
+    // Removes an entry, returns true if there was one with that name and it was removed from the storage
+    function remove( name ) {
+        var entries = readEntries();
+        var kept = entries.filter( function(entry) { return entry.name != name; } );
+
+        return kept.length < entries.length && ! writeEntries( kept );
+    }
+
+    // Checks a saved path against the graph of the solver: the path must be a legal sequence (see solver.validateSequence),
+    // it must start from the start position and end on the goal (which may be a set of positions).
+    // Returns undefined if the path is fine, otherwise the reason why it isn't.
+    function getPathError( entry ) {
+        var validation = solver.validateSequence( entry.path );
+
+        if( ! validation.valid ) {
+            return "step " + validation.step + " (" + entry.path[validation.step] + "): " + validation.reason;
+        }
+
+        var start = solver.canonicalizePosition( entry.start );
+
+        if( ! start.ok || start.position != solver.canonicalizePosition( entry.path[0] ).position ) {
+            return "the path doesn't start from " + entry.start;
+        }
+
+        var toGoal = solver.findSolution( entry.path[entry.path.length-1], entry.goal );
+
+        if( ! toGoal.ok || toGoal.path.length > 1 ) {
+            return "the path doesn't end on " + entry.goal;
+        }
+    }
+
+    // Loads an entry, checking its path again (see getPathError).
+    // Returns { ok: true, entry } where the path is in canonical notation, or { ok: false, error: { code, message } }.
+    function load( name ) {
+        var entry = get( name );
+
+        if( ! entry ) {
+            return getErrorResult( ErrorCodes.UnknownEntry, "There is no entry named " + name, "name" );
+        }
+
+        var error = checkEntry( entry );
+
+        if( error ) {
+            return error;
+        }
+
+        var pathError = getPathError( entry );
+
+        if( pathError ) {
+            return getErrorResult( ErrorCodes.InvalidPath, "The path of " + name + " is not valid anymore, " + pathError, "path" );
+        }
+
+        entry = copyEntry( entry );
+        entry.path = entry.path.map( function(position) { return solver.canonicalizePosition(position).position; } );
+
+        return { ok: true, entry: entry };
+    }
+
+    // Returns the whole library as JSON
+    function exportJSON() {
+        return JSON.stringify( { format: Format, version: Version, entries: list() }, null, 2 );
+    }
+
+    // Adds the entries of an exported library (or of a plain list of entries), replacing the entries with the same
+    // name. Nothing is imported if any entry is not valid.
+    // Returns { ok: true, count } with the number of entries imported, or { ok: false, error: { code, message } }.
+    function importJSON( text ) {
+        var data;
+
+        try {
+            data = JSON.parse( text );
+        }
+        catch( e ) {
+            return getErrorResult( ErrorCodes.InvalidFile, "The file is not valid JSON: " + e.message );
+        }
+
+        var entries = Array.isArray(data) ? data : data && data.format == Format ? data.entries : undefined;
+
+        if( ! Array.isArray(entries) ) {
+            return getErrorResult( ErrorCodes.InvalidFile, "The file is not a Cast Duet sequence library" );
+        }
+
+        if( data.version > Version ) {
+            return getErrorResult( ErrorCodes.InvalidFile, "The library was saved by a newer version (" + data.version + ")" );
+        }
+
+        for( let i=0; i<entries.length; i++ ) {
+            let error = checkEntry( entries[i] );
+
+            if( error ) {
+                return error;
+            }
+        }
+
+        // The last entry wins if there are more with the same name
+        var imported = entries.map( copyEntry ).filter( function(entry, i, all) {
+            return ! all.slice(i+1).some( function(e) { return e.name == entry.name; } );
+        } );
+        var names = imported.map( function(entry) { return entry.name; } );
+
+        return writeEntries( readEntries().filter( function(entry) { return names.indexOf(entry.name) < 0; } ).concat( imported ) ) ||
+            { ok: true, count: imported.length };
+    }
+
+    return {
+        ErrorCodes: ErrorCodes,
+
+        list: list,
+        get: get,
+        save: save,
+        remove: remove,
+        load: load,
+        exportJSON: exportJSON,
+        importJSON: importJSON
+    }
+}
+
+if( typeof module !== "undefined" ) {
+    module.exports = initSequenceLibrary;
+}
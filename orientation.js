@@ -0,0 +1,364 @@
+/*
+    Orientation layer of the Cast Duet solver.
+
+    The solver describes positions with the puzzle in standard position: DUET side up, rounded corner on the bottom
+    right. This layer lets users write positions as they hold the puzzle instead: the face they are looking at
+    ("duet" or "hanayama") and how much the puzzle is turned clockwise from there (0, 90, 180 or 270 degrees),
+    e.g. "hanayama-90". The orientation named "duet" is the standard position.
+
+        var oriented = initOrientation( initSolver(), "hanayama-90" );
+
+        oriented.findSolution( "U(1,3)-(0,4)", "FREE" ); // Path in the same orientation
+
+    Coordinates are relative to what the user sees: (1,1) is always the bottom left cell of the frame, and "U" is
+    always the side facing the user, so U and D are swapped on the Hanayama face. Turning the puzzle over to the
+    Hanayama face swaps left and right (i.e. the puzzle is turned around its vertical axis), then the rotation is
+    applied as seen from that face.
+
+    The oriented functions take and return positions in the user's orientation: positions are mapped into the
+    standard notation, handed to the solver, and paths, move descriptions and error messages are mapped back.
+    Positions with coordinates out of the grid (as seen by the user) are reported as such, anything else that can't
+    be mapped (e.g. invalid notation) goes to the solver unchanged, so it reports the same errors.
+*/
+function initOrientation( solver, name ) {
+    const Faces = [ "duet", "hanayama" ];
+    const Rotations = [ 0, 90, 180, 270 ];
+
+    // Unit vectors of the dent and slide names (see getMoveCandidates in solver.js)
+    const Vectors = {
+        t: [0, 1], b: [0, -1], l: [-1, 0], r: [1, 0],
+        up: [0, 1], down: [0, -1], left: [-1, 0], right: [1, 0]
+    }
+
+    const Orientations = [];
+
+    Faces.forEach( function(face) {
+        Rotations.forEach( function(rotation) {
+            Orientations.push( rotation ? face + "-" + rotation : face );
+        } );
+    } );
+
+    name = name || "duet";
+
+    var match = String(name).match(/^(duet|hanayama)(?:-(90|180|270))?$/);
+
+    if( ! match ) {
+        throw new Error("Unknown orientation: " + name + ", use one of " + Orientations.join(", "));
+    }
+
+    const Face = match[1];
+    const Rotation = parseInt(match[2] || "0", 10);
+    const Flipped = Face == "hanayama";
+    const Turns = Rotation / 90;
+
+    // Largest coordinates of the standard grid, and of the grid as seen by the user
+    const StandardSize = [ solver.GridCols + 1, solver.GridRows + 1 ];
+    const UserSize = Turns % 2 ? [ StandardSize[1], StandardSize[0] ] : StandardSize;
+
+    // Coordinates can be "*" in goal patterns, which stays a wildcard wherever it ends up
+    function subtract( a, value ) {
+        return value == "*" ? "*" : a - value;
+    }
+
+    // Maps a cell from the standard orientation to the user's: mirror for the Hanayama face, then turn clockwise
+    function toUserCell( col, row ) {
+        var size = StandardSize.slice();
+
+        if( Flipped ) {
+            col = subtract( size[0], col );
+        }
+
+        for( let i=0; i<Turns; i++ ) {
+            let c = col;
+
+            col = row;
+            row = subtract( size[0], c );
+            size.reverse();
+        }
+
+        return [ col, row ];
+    }
+
+    function toStandardCell( col, row ) {
+        var size = UserSize.slice();
+
+        for( let i=0; i<Turns; i++ ) {
+            let c = col;
+
+            col = subtract( size[1], row );
+            row = c;
+            size.reverse();
+        }
+
+        if( Flipped ) {
+            col = subtract( size[0], col );
+        }
+
+        return [ col, row ];
+    }
+
+    // Maps a direction vector to the user's orientation
+    function toUserVector( vector ) {
+        var x = Flipped ? -vector[0] : vector[0];
+        var y = vector[1];
+
+        for( let i=0; i<Turns; i++ ) {
+            let t = x;
+
+            x = y;
+            y = -t;
+        }
+
+        return [ x, y ];
+    }
+
+    function getVectorName( vector, names ) {
+        return names.filter( function(n) { return Vectors[n][0] == vector[0] && Vectors[n][1] == vector[1]; } )[0];
+    }
+
+    function swapPegPos( pegPos ) {
+        return ! Flipped || pegPos == "?" ? pegPos : pegPos == "U" ? "D" : "U";
+    }
+
+    function isInRange( cell, size ) {
+        return cell.every( function(value, i) { return value == "*" || (value >= 0 && value <= size[i]); } );
+    }
+
+    // Splits one half ring position (or goal pattern) in the usual notation into the peg side and the peg and ring cells,
+    // returns undefined if it's not in that notation
+    function parseHalfRing( position ) {
+        var match = position.replace(/\s+/g, "").toUpperCase().match(/^([UD?])\((\d+|\*),(\d+|\*)\)-\((\d+|\*),(\d+|\*)\)$/);
+
+        if( match ) {
+            let values = match.slice(2).map( function(value) { return value == "*" ? "*" : parseInt(value, 10); } );
+
+            return { pegPos: match[1], peg: values.slice(0, 2), ring: values.slice(2) };
+        }
+    }
+
+    // Maps one half ring position (or goal pattern), returns it unchanged if it's not in the usual notation or if it's
+    // out of the grid (see getRangeError)
+    function mapHalfRing( position, mapCell, size ) {
+        var parsed = parseHalfRing( position );
+
+        if( ! parsed || ! isInRange(parsed.peg, size) || ! isInRange(parsed.ring, size) ) {
+            return position;
+        }
+
+        var peg = mapCell( parsed.peg[0], parsed.peg[1] );
+        var ring = mapCell( parsed.ring[0], parsed.ring[1] );
+
+        return swapPegPos(parsed.pegPos) + "(" + peg.join(",") + ")-(" + ring.join(",") + ")";
+    }
+
+    // Returns an error result (see solver.findSolution) if a position or goal pattern in the user's orientation has
+    // coordinates out of the grid, which can't be mapped to the standard orientation, otherwise undefined
+    function getRangeError( position, field ) {
+        var outOfRange = typeof position == "string" && position.split(solver.JointSeparator).some( function(half) {
+            var parsed = parseHalfRing( half );
+
+            return parsed && ! (isInRange(parsed.peg, UserSize) && isInRange(parsed.ring, UserSize));
+        } );
+
+        if( outOfRange ) {
+            return {
+                ok: false,
+                error: {
+                    code: solver.ErrorCodes.UnknownPosition,
+                    message: "The position is out of the grid: with the puzzle held this way columns go from 0 to " + UserSize[0] + " and rows from 0 to " + UserSize[1],
+                    field: field
+                }
+            }
+        }
+    }
+
+    function mapPosition( position, mapCell, size ) {
+        if( typeof position != "string" ) {
+            return position;
+        }
+
+        return position.split(solver.JointSeparator).map( function(half) {
+            return mapHalfRing( half, mapCell, size );
+        } ).join(solver.JointSeparator);
+    }
+
+    // Maps a position (half ring, joint or goal pattern) from the user's orientation to the standard one
+    function toCanonical( position ) {
+        return mapPosition( position, toStandardCell, UserSize );
+    }
+
+    // Maps a position from the standard orientation to the user's
+    function fromCanonical( position ) {
+        return mapPosition( position, toUserCell, StandardSize );
+    }
+
+    // Maps the positions written in a message (e.g. an error message) to the user's orientation
+    function fromCanonicalText( text ) {
+        return text.replace( /[UD]\(\d+,\d+\)-\(\d+,\d+\)/g, fromCanonical );
+    }
+
+    // Maps the name of a dent (see getCellDents in solver.js) to the user's orientation
+    function toUserDentName( dentName ) {
+        return dentName.split("").map( function(letter) {
+            return getVectorName( toUserVector(Vectors[letter]), ["t", "b", "l", "r"] );
+        } ).join("");
+    }
+
+    // Maps a ring orientation (see generateAllRingsForCell in solver.js) to the user's orientation
+    function toUserRotation( rotation ) {
+        var vector = toUserVector( solver.Neighbours[rotation] );
+
+        return solver.Neighbours.findIndex( function(n) { return n[0] == vector[0] && n[1] == vector[1]; } );
+    }
+
+    // Maps the reason of an illegal move (see solver.validateSequence) to the user's orientation: the positions,
+    // the orientation of the ring and the dent it needs, e.g. "rotation from case 4 (TopRight) requires dent tl of cell (1,1) ..."
+    function fromCanonicalReason( reason ) {
+        return fromCanonicalText( reason )
+            .replace( /case (\d) \(\w+\)/, function(text, rotation) {
+                var userRotation = toUserRotation( parseInt(rotation, 10) );
+
+                return "case " + userRotation + " (" + solver.RotationNames[userRotation] + ")";
+            } )
+            .replace( /dent ([tblr]{2}) of cell \((\d+),(\d+)\)/, function(text, dentName, col, row) {
+                return "dent " + toUserDentName(dentName) + " of cell (" + toUserCell( parseInt(col, 10), parseInt(row, 10) ).join(",") + ")";
+            } );
+    }
+
+    // Maps a result of the solver (see solver.findSolution) to the user's orientation, including the alternatives
+    // added by solverclient.js
+    function fromCanonicalResult( result ) {
+        result = Object.assign( {}, result );
+
+        if( result.ok ) {
+            result.path = result.path.map( fromCanonical );
+
+            if( result.target ) result.target = fromCanonical( result.target );
+            if( result.alternatives ) result.alternatives = result.alternatives.map( function(path) { return path.map( fromCanonical ); } );
+        }
+        else {
+            result.error = Object.assign( {}, result.error, { message: fromCanonicalText(result.error.message) } );
+        }
+
+        return result;
+    }
+
+    // Maps the node info passed to goal predicates (see solver.findNearestSolution)
+    function toUserNodeInfo( info ) {
+        if( info.isJoint ) {
+            return Object.assign( {}, info, { name: fromCanonical(info.name), left: toUserNodeInfo(info.left), right: toUserNodeInfo(info.right) } );
+        }
+
+        if( info.isFree ) {
+            return info;
+        }
+
+        var peg = toUserCell( info.pegCol, info.pegRow );
+        var ring = toUserCell( info.ringCol, info.ringRow );
+
+        return {
+            name: fromCanonical(info.name),
+            isFree: false,
+            pegPos: swapPegPos(info.pegPos),
+            pegCol: peg[0],
+            pegRow: peg[1],
+            ringCol: ring[0],
+            ringRow: ring[1],
+            rotation: solver.Neighbours.findIndex( function(n) { return n[0] == ring[0] - peg[0] && n[1] == ring[1] - peg[1]; } )
+        }
+    }
+
+    // Maps a move (see getMoveCandidates in solver.js) to the user's orientation. The side of the dent is the
+    // physical DUET or Hanayama side so it doesn't change, while rotations look the other way on the Hanayama face.
+    function toUserMove( move ) {
+        move = Object.assign( {}, move, { from: fromCanonical(move.from), to: fromCanonical(move.to) } );
+
+        if( move.dentCell ) {
+            let cell = toUserCell( move.dentCell.col, move.dentCell.row );
+
+            move.dentCell = { col: cell[0], row: cell[1] };
+            move.dentName = toUserDentName( move.dentName );
+        }
+
+        if( move.type == "slide" ) {
+            move.direction = getVectorName( toUserVector(Vectors[move.direction]), ["up", "down", "left", "right"] );
+        }
+        else if( move.direction && Flipped ) {
+            move.direction = move.direction == "cw" ? "ccw" : "cw";
+        }
+
+        return move;
+    }
+
+    function canonicalizePosition( position ) {
+        var rangeError = getRangeError( position );
+
+        if( rangeError ) {
+            return rangeError;
+        }
+
+        var result = solver.canonicalizePosition( toCanonical(position) );
+
+        if( result.ok ) {
+            return Object.assign( {}, result, { position: fromCanonical(result.position) } );
+        }
+
+        return fromCanonicalResult( result );
+    }
+
+    // Same as solver.findSolution, goal predicates get the node info in the user's orientation
+    function findSolution( startPosition, targetPosition, options ) {
+        var rangeError = getRangeError( startPosition, "start" ) || getRangeError( targetPosition, "target" );
+
+        if( rangeError ) {
+            return rangeError;
+        }
+
+        var target = typeof targetPosition == "function" ? function(info) { return targetPosition( toUserNodeInfo(info) ); } : toCanonical(targetPosition);
+
+        return fromCanonicalResult( solver.findSolution( toCanonical(startPosition), target, options ) );
+    }
+
+    function describeMoves( positions ) {
+        return solver.describeMoves( positions.map( toCanonical ), toUserMove );
+    }
+
+    // Same as solver.validateSequence, with the reason of an illegal step in the user's orientation
+    function validateSequence( positions ) {
+        for( let i=0; i<positions.length; i++ ) {
+            if( getRangeError( positions[i] ) ) {
+                return { valid: false, step: i, reason: "out of the grid" };
+            }
+        }
+
+        var result = solver.validateSequence( positions.map( toCanonical ) );
+
+        return result.valid ? result : Object.assign( {}, result, { reason: fromCanonicalReason(result.reason) } );
+    }
+
+    function getSolutionCost( positions, costs ) {
+        return solver.getSolutionCost( positions.map( toCanonical ), costs );
+    }
+
+    return {
+        Orientations: Orientations,
+        name: Rotation ? Face + "-" + Rotation : Face,
+        face: Face,
+        rotation: Rotation,
+
+        toCanonical: toCanonical,
+        fromCanonical: fromCanonical,
+        fromCanonicalResult: fromCanonicalResult,
+        getRangeError: getRangeError,
+
+        canonicalizePosition: canonicalizePosition,
+        findSolution: findSolution,
+        describeMoves: describeMoves,
+        validateSequence: validateSequence,
+        getSolutionCost: getSolutionCost
+    }
+}
+
+if( typeof module !== "undefined" ) {
+    module.exports = initOrientation;
+}
@@ -0,0 +1,135 @@
+/*
+    Position picker for the Cast Duet solver.
+
+    Shows the coordinate grid around the frame (from 0 to the number of columns and rows plus one), drawn by the
+    2D renderer with the position being picked. The user clicks the cell of the peg, then one of the cells next to it
+    for the solid part of the ring, and toggles the peg Up or Down: every complete position is passed to onPick
+    in canonical notation.
+*/
+function initPositionPicker( solver, renderer2d, container, onPick ) {
+    const CellSize = renderer2d.CellSize; // So that the cells line up with the image of the renderer
+
+    var pegPos = "U";
+    var peg; // Selected peg cell, as { col, row }
+    var ring; // Selected ring cell
+
+    function getPositionName( pegCol, pegRow, ringCol, ringRow ) {
+        return pegPos + "(" + pegCol + "," + pegRow + ")-(" + ringCol + "," + ringRow + ")";
+    }
+
+    // Returns the cells where the ring can be placed for the selected peg: positions must be part of the puzzle,
+    // and they must not be entirely out of the frame (that's just FREE)
+    function getRingCells() {
+        if( ! peg ) {
+            return [];
+        }
+
+        return solver.Neighbours.map( function(n) {
+            return { col: peg.col + n[0], row: peg.row + n[1] };
+        } ).filter( function(cell) {
+            var canonical = solver.canonicalizePosition( getPositionName( peg.col, peg.row, cell.col, cell.row ) );
+
+            return canonical.ok && canonical.position != solver.FreeHalfRing;
+        } );
+    }
+
+    // Returns the picked position in canonical notation, or undefined if it's not complete
+    function getPosition() {
+        if( peg && ring ) {
+            return solver.canonicalizePosition( getPositionName( peg.col, peg.row, ring.col, ring.row ) ).position;
+        }
+    }
+
+    function draw() {
+        var cols = solver.GridCols + 2;
+        var rows = solver.GridRows + 2;
+        var ringCells = getRingCells();
+        var svg = [];
+
+        function isCell( cell, col, row ) {
+            return cell && cell.col == col && cell.row == row;
+        }
+
+        svg.push( '<svg xmlns="http://www.w3.org/2000/svg" width="' + (cols * CellSize) + '" height="' + (rows * CellSize) + '" style="cursor:pointer">' );
+        svg.push( '<image href="' + renderer2d.renderPosition( getPosition() || solver.FreeHalfRing ) + '" x="0" y="0"/>' );
+
+        for( let row=0; row<rows; row++ ) {
+            for( let col=0; col<cols; col++ ) {
+                let x = col * CellSize, y = (rows - 1 - row) * CellSize;
+                let isRingCell = ringCells.some( function(cell) { return isCell(cell, col, row); } );
+                let fill = isCell(peg, col, row) ? "rgba(31,95,191,0.25)" : isRingCell ? "rgba(46,158,68,0.2)" : "transparent";
+
+                svg.push( '<rect data-col="' + col + '" data-row="' + row + '" x="' + x + '" y="' + y + '" width="' + CellSize + '" height="' + CellSize + '" fill="' + fill + '" stroke="#ccc" stroke-dasharray="2,3"/>' );
+                svg.push( '<text x="' + (x + 4) + '" y="' + (y + 12) + '" font-size="9" fill="#999" pointer-events="none">' + col + ',' + row + '</text>' );
+            }
+        }
+
+        svg.push( '</svg>' );
+
+        container.innerHTML = svg.join("");
+    }
+
+    function pick() {
+        draw();
+
+        var position = getPosition();
+
+        if( position ) {
+            onPick( position );
+        }
+    }
+
+    // The first click selects the peg cell and the second one the ring cell, among the cells next to the peg
+    // (a click anywhere else selects a new peg cell instead), then it starts over
+    container.addEventListener( "click", function(event) {
+        var col = parseInt( event.target.getAttribute("data-col"), 10 );
+        var row = parseInt( event.target.getAttribute("data-row"), 10 );
+
+        if( isNaN(col) || isNaN(row) ) {
+            return;
+        }
+
+        if( ! ring && getRingCells().some( function(cell) { return cell.col == col && cell.row == row; } ) ) {
+            ring = { col: col, row: row };
+        }
+        else {
+            peg = { col: col, row: row };
+            ring = undefined;
+        }
+
+        pick();
+    } );
+
+    // Shows a position in the picker, positions that are not valid or not on the grid (i.e. FREE) clear the picker
+    function setPosition( position ) {
+        var info = solver.canonicalizePosition( position ).ok ? solver.getNodeInfo( position ) : undefined;
+
+        if( info && ! info.isFree ) {
+            pegPos = info.pegPos;
+            peg = { col: info.pegCol, row: info.pegRow };
+            ring = { col: info.ringCol, row: info.ringRow };
+        }
+        else {
+            peg = ring = undefined;
+        }
+
+        draw();
+    }
+
+    // Moves the peg to the other side
+    function togglePeg() {
+        pegPos = pegPos == "U" ? "D" : "U";
+        pick();
+    }
+
+    draw();
+
+    return {
+        setPosition: setPosition,
+        getPosition: getPosition,
+        togglePeg: togglePeg,
+        getPegPos: function() {
+            return pegPos;
+        }
+    }
+}
@@ -4,8 +4,13 @@
 
     Uses BabylonJS (...what an incredibly beautiful framework!) to render
     a 3D image of the puzzle in a specific position.
+
+    The render canvas is a live view: the camera orbits around the frame (drag to rotate, mouse wheel to zoom),
+    and showPosition() or a player created by createPlayer() update the half rings in place.
+
+    Positions are canonicalized by the solver before rendering, so the renderer accepts exactly the same notation.
 */
-function initRenderer() {
+function initRenderer( solver ) {
     var canvas = document.getElementById("render");
 
     var engine = new BABYLON.Engine(canvas);
@@ -14,65 +19,176 @@ function initRenderer() {
 
     var ringMesh;
 
+    var materials; // Materials for the left and right half rings, and for half rings that overlap
+
+    var camera;
+
+    var viewRotation = 0; // Camera turn around the vertical axis, to follow the orientation of the puzzle (see setOrientation)
+
+    var roundedCorners = getRoundedCorners();
+
+    // Preset views, as the orbit angles of the camera around the center of the frame and its distance from it.
+    // The DUET side faces up (y > 0), and the rounded corner is at the bottom right when seen from the top.
+    const Views = {
+        top:      { alpha: -Math.PI / 2, beta: 0.01, radius: 6 },
+        bottom:   { alpha: -Math.PI / 2, beta: Math.PI - 0.01, radius: 6 },
+        duet:     { alpha: -1.74, beta: 0.55, radius: 5.85 },
+        hanayama: { alpha: -1.74, beta: Math.PI - 0.55, radius: 5.85 }
+    }
+
+    // Returns the rounded corners of the frame: the corner (x,z) of the cell that is replaced by a quarter of a ring
+    // of radius 1 centered on the opposite corner (cx,cz), and the rotation of the ring arc around the y axis
+    function getRoundedCorners() {
+        // Direction of the corner from the arc center, for each corner name
+        const Directions = {
+            br: { sx: +1, sz: -1, arcRotation: 0 },
+            bl: { sx: -1, sz: -1, arcRotation: Math.PI / 2 },
+            tl: { sx: -1, sz: +1, arcRotation: Math.PI },
+            tr: { sx: +1, sz: +1, arcRotation: -Math.PI / 2 }
+        }
+
+        return solver.getFrame().filter( function(cell) { return cell.roundedCorner; } ).map( function(cell) {
+            var direction = Directions[cell.roundedCorner];
+            var center = getCellCenter( cell.col, cell.row );
+
+            return {
+                x: center.x + direction.sx * 0.5,
+                z: center.z + direction.sz * 0.5,
+                cx: center.x - direction.sx * 0.5,
+                cz: center.z - direction.sz * 0.5,
+                sx: direction.sx,
+                sz: direction.sz,
+                arcRotation: direction.arcRotation
+            }
+        } );
+    }
+
     function createScene() {
-        // Create a FreeCamera, and set its position to (x:0, y:5, z:-10).
-        var camera = new BABYLON.FreeCamera('camera', new BABYLON.Vector3(1, 5, -3), scene);
+        // Create an orbit camera targeting the center of the frame, looking at the DUET side
+        var frameCenter = getCellCenter( (solver.GridCols + 1) / 2, (solver.GridRows + 1) / 2 );
 
-        // Target the camera to scene origin.
-        camera.setTarget(new BABYLON.Vector3(1.5,0,0));
+        camera = new BABYLON.ArcRotateCamera('camera', 0, 0, 1, new BABYLON.Vector3(frameCenter.x, 0, frameCenter.z), scene);
+        camera.lowerBetaLimit = 0.01;
+        camera.upperBetaLimit = Math.PI - 0.01;
+        camera.lowerRadiusLimit = 2;
+        camera.upperRadiusLimit = 15;
+        camera.wheelPrecision = 50;
+
+        setView( "duet" );
 
         // Attach the camera to the canvas.
         camera.attachControl(canvas, true);
 
-        // Create a basic light, aiming 0,1,0 - meaning, to the sky.
+        // Create a basic light, aiming 0,1,0 - meaning, to the sky. The ground color lights the Hanayama side.
         var light = new BABYLON.HemisphericLight('light1', new BABYLON.Vector3(0,1,0), scene);
+        light.groundColor = new BABYLON.Color3(0.5, 0.5, 0.5);
 
-        // Create the puzzle grid
+        // Create the puzzle frame from the topology sketch used by the solver (see solver.getFrame): a bar for each
+        // straight border, a quarter of a ring for each rounded corner, and a notch for each dent, cut on the
+        // DUET (top) side, the Hanayama (bottom) side or both
         function createFrame() {
-            function vbox(x, length, dz) {
-                var box = BABYLON.MeshBuilder.CreateBox("box", {height:0.1, width:0.1, depth:length || 3.1}, scene);
-                if( x != null ) box.position.x = x;
-                box.position.z = dz || 0;
-                return box;
+            const BarSize = 0.1;
+            const NotchSize = 0.15; // Size of the notch along the bar, a bit wider than the ring
+            const NotchDepth = 0.04;
+
+            var bars = {}; // Straight bars by position, cells share the bars between them
+
+            function getBar( x1, z1, x2, z2 ) {
+                var key = x1 + "," + z1 + "," + x2 + "," + z2;
+
+                return bars[key] = bars[key] || { x1: x1, z1: z1, x2: x2, z2: z2, dents: {} };
             }
 
-            function hbox(z, length, dx) {
-                var box = BABYLON.MeshBuilder.CreateBox("box", {height:0.1, width:0.1, depth:length || 3}, scene);
-                box.rotate(BABYLON.Axis.Y, Math.PI / 2, BABYLON.Space.LOCAL);
-                box.position.x = 1.5 + (dx || 0);
-                if( z != null ) box.position.z = z;
-                return box;
+            function createBar( bar ) {
+                var box = BABYLON.MeshBuilder.CreateBox("bar", {height:BarSize, width:BarSize, depth:1 + BarSize}, scene);
+                if( bar.z1 == bar.z2 ) box.rotate(BABYLON.Axis.Y, Math.PI / 2, BABYLON.Space.LOCAL);
+                box.position.x = (bar.x1 + bar.x2) / 2;
+                box.position.z = (bar.z1 + bar.z2) / 2;
+
+                if( Object.keys(bar.dents).length == 0 ) {
+                    return box;
+                }
+
+                var barCSG = BABYLON.CSG.FromMesh(box);
+                box.dispose();
+
+                for( let key in bar.dents ) {
+                    let dent = bar.dents[key];
+                    let faces = dent.type == "B" ? [+1, -1] : dent.type == "D" ? [+1] : [-1];
+
+                    faces.forEach( function(face) {
+                        var notch = BABYLON.MeshBuilder.CreateBox("notch", {height:2*NotchDepth, width:NotchSize, depth:NotchSize}, scene);
+                        notch.position.x = dent.x;
+                        notch.position.y = face * BarSize / 2;
+                        notch.position.z = dent.z;
+
+                        barCSG = barCSG.subtract( BABYLON.CSG.FromMesh(notch) );
+                        notch.dispose();
+                    } );
+                }
+
+                return barCSG.toMesh("bar", null, scene);
             }
 
-            function ccyl(diameter) {
-                var cyl = BABYLON.MeshBuilder.CreateCylinder("outCyl", {diameter:diameter, height: 0.1, tessellation:64, arc:0.25}, scene);
-                cyl.position.x = 2;
-                cyl.position.z = -0.5;
-                return cyl;
+            function createCorner( corner ) {
+                function ccyl(diameter) {
+                    var cyl = BABYLON.MeshBuilder.CreateCylinder("outCyl", {diameter:diameter, height: BarSize, tessellation:64, arc:0.25}, scene);
+                    cyl.rotation.y = corner.arcRotation;
+                    cyl.position.x = corner.cx;
+                    cyl.position.z = corner.cz;
+                    return cyl;
+                }
+
+                var outCyl = ccyl(2 + BarSize);
+                var innCyl = ccyl(2 - BarSize);
+                var outCylCSG = BABYLON.CSG.FromMesh(outCyl);
+                var innCylCSG = BABYLON.CSG.FromMesh(innCyl);
+                outCyl.dispose();
+                innCyl.dispose();
+                var cylCSG = outCylCSG.subtract(innCylCSG);
+                return cylCSG.toMesh("cyl", null, scene);
             }
 
-            var box1 = vbox(0);
-            var box2 = vbox(1);
-            var box3 = vbox(2);
-            var box4 = vbox(3, 2.1, +0.5);
+            solver.getFrame().forEach( function(cell) {
+                var left = cell.col - 1, right = cell.col;
+                var bottom = cell.row - 2.5, top = cell.row - 1.5;
+
+                var borders = {
+                    top: getBar( left, top, right, top ),
+                    bottom: getBar( left, bottom, right, bottom ),
+                    left: getBar( left, bottom, left, top ),
+                    right: getBar( right, bottom, right, top )
+                }
+
+                for( let side in borders ) {
+                    if( cell.borders[side] == "straight" ) borders[side].straight = true;
+                }
+
+                for( let name in cell.dents ) {
+                    let place = solver.DentPlaces[name];
+                    let dent = { x: left + place.x, z: bottom + place.y, type: cell.dents[name] };
 
-            var box5 = hbox( 1.5);
-            var box6 = hbox( 0.5);
-            var box7 = hbox(-0.5);
-            var box8 = hbox(-1.5, 2, -0.5);
+                    borders[place.side].dents[dent.x + "," + dent.z] = dent;
+                }
+            } );
 
-            var outCyl = ccyl(2.1);
-            var innCyl = ccyl(1.9);
-            var outCylCSG = BABYLON.CSG.FromMesh(outCyl);
-            var innCylCSG = BABYLON.CSG.FromMesh(innCyl);
-            outCyl.dispose();
-            innCyl.dispose();
-            var cylCSG = outCylCSG.subtract(innCylCSG);
-            var cyl = cylCSG.toMesh("cyl", null, scene);
+            for( let key in bars ) {
+                if( bars[key].straight ) createBar( bars[key] );
+            }
+
+            roundedCorners.forEach( createCorner );
+        }
+
+        // Create a simple material of the specified color
+        function createMaterial( color ) {
+            var material = new BABYLON.StandardMaterial(scene);
+            material.alpha = 1;
+            material.diffuseColor = color;
+            return material;
         }
 
         // Create one of the puzzle's half rings
-        function createHalfRingMesh() {
+        function createHalfRingMesh( material ) {
             // Basic shape is a torus, then we'll remove and add parts using CSG (Constructive Solid Geometry) features
             var hoop = BABYLON.MeshBuilder.CreateTorus("hoop", {thickness: 0.15, tessellation:64}, scene);
 
@@ -86,13 +202,6 @@ function initRenderer() {
             cyl.position.y = -0.03;
             cyl.position.z = -0.09;
 
-            // Simple gold material
-            const Gold = new BABYLON.Color3(1.0, 0.84, 0);
-            const PaleGold = new BABYLON.Color3(0.90, 0.87, 0.54);
-            var material = new BABYLON.StandardMaterial(scene);
-            material.alpha = 1;
-            material.diffuseColor = Gold;
-
             // Create the final mesh using CSG
             var hoopCSG = BABYLON.CSG.FromMesh(hoop);
             var box1CSG = BABYLON.CSG.FromMesh(box1);
@@ -114,94 +223,395 @@ function initRenderer() {
             return halfRingMesh;
         }
 
-        // Setup scene
-        ringMesh = createHalfRingMesh();
+        // Setup scene: the left half is gold, the right half pale gold, and both turn red if they overlap
+        const Gold = new BABYLON.Color3(1.0, 0.84, 0);
+        const PaleGold = new BABYLON.Color3(0.90, 0.87, 0.54);
+        const Red = new BABYLON.Color3(0.9, 0.1, 0.1);
+
+        materials = [ createMaterial(Gold), createMaterial(PaleGold) ];
+        materials.conflict = createMaterial(Red);
+
+        ringMesh = createHalfRingMesh( materials[0] );
 
         ringMesh.rotate(BABYLON.Axis.X, -Math.PI / 2, BABYLON.Space.LOCAL);
 
         createFrame();
     }
 
-    // Set the position of a half ring according to the notation used by the solver
-    function setHalfRingPosition( mesh, position ) {
+    // Moves the camera to one of the preset views: "top", "bottom", "duet" or "hanayama"
+    function setView( name ) {
+        var view = Views[name];
+
+        if( ! view ) {
+            throw new Error("Unknown view: " + name);
+        }
+
+        camera.alpha = view.alpha + viewRotation;
+        camera.beta = view.beta;
+        camera.radius = view.radius;
+    }
+
+    // Turns the camera to show the puzzle as the user holds it (see orientation.js): looking at the specified face
+    // ("duet" or "hanayama"), turned clockwise by the specified rotation (0, 90, 180 or 270 degrees).
+    // The preset views keep the same turn, as if the user moved around the puzzle.
+    function setOrientation( face, rotation ) {
+        if( face != "duet" && face != "hanayama" ) {
+            throw new Error("Unknown face: " + face);
+        }
+
+        // Turning the puzzle clockwise is the same as moving the camera counter-clockwise around it,
+        // which looks the other way from below
+        viewRotation = (face == "duet" ? 1 : -1) * (rotation || 0) * Math.PI / 180;
+
+        setView( face );
+    }
+
+    // Returns the world coordinates (x,z) of the center of a cell
+    function getCellCenter( col, row ) {
+        return { x: col - 0.5, z: row - 2 };
+    }
+
+    // Computes the pose of a half ring according to the notation used by the solver.
+    // Besides the mesh position and rotation, the pose has the angle of the ring (from the peg to the solid part)
+    // and the geometric center of the ring, i.e. the midpoint between the peg and ring cells, which are used for animations.
+    // Free half rings are placed above the frame, the right half (index 1) next to the left one.
+    function getHalfRingPose( position, index ) {
         if( position == "FREE" ) {
+            return {
+                isFree: true,
+                x:  3.5 - 3 + (index || 0),
+                z: -1.5 + 4
+            }
+        }
+
+        // Parse the position
+        var pos = position.match(/^([UD])\((\d+),(\d+)\)-\((\d+),(\d+)\)$/);
+
+        if( pos == null ) {
+            console.log("Cannot parse position: ", position);
+            return;
+        }
+
+        // Ring position information, let's try not to be too cute about this
+        var RingPosData = {
+            "1,0": { rz: 0 },
+            "1,1": { oz: +0.5, rz: 1 },
+            "0,1": { ox: -0.5, oz: +0.5, rz: 2 },
+            "-1,1":{ ox: -1, oz: +0.5, rz: 3 },
+            "-1,0":{ ox: -1, rz: 4 },
+            "-1,-1":{ox: -1, oz: -0.5, rz: 5 },
+            "0,-1":{ ox: -0.5, oz: -0.5, rz: 6 },
+            "1,-1":{ ox: 0, oz: -0.5, rz: 7 }
+        }
+
+        var dx = parseInt(pos[4],10)-parseInt(pos[2],10);
+        var dy = parseInt(pos[5],10)-parseInt(pos[3],10);
+        var pd = RingPosData[""+dx+","+dy];
+
+        if( !pd ) {
+            console.log("No data for position: "+dx+","+dy);
+            return;
+        }
+
+        var angle = pd.rz * 2 * Math.PI / 8;
+        var pegCenter = getCellCenter( parseInt(pos[2],10), parseInt(pos[3],10) );
+        var ringCenter = getCellCenter( parseInt(pos[4],10), parseInt(pos[5],10) );
+
+        var pose = {
+            isFree: false,
+            pegPos: pos[1],
+            angle: angle,
+            cx: (pegCenter.x + ringCenter.x) / 2,
+            cz: (pegCenter.z + ringCenter.z) / 2,
+            x: parseInt( pos[2], 10 )     + (pd.ox || 0),
+            z: parseInt( pos[3], 10 ) - 2 + (pd.oz || 0)
+        }
+
+        // A diagonal ring across a rounded corner wraps around the arc that replaces the corner
+        roundedCorners.forEach( function(corner) {
+            if( pose.x == corner.x && pose.z == corner.z ) {
+                pose.x = corner.cx + corner.sx * Math.SQRT1_2;
+                pose.z = corner.cz + corner.sz * Math.SQRT1_2;
+            }
+        } );
+
+        return pose;
+    }
+
+    // Returns the mesh rotation around the y and z axis for a ring angle and peg side
+    function getRotation( angle, pegPos ) {
+        return pegPos == "D" ? { y: 0, z: Math.PI - angle } : { y: Math.PI, z: angle };
+    }
+
+    // Places a half ring mesh according to a pose. Free rings are rotated from the original orientation of the mesh,
+    // so the mesh must be a fresh clone in that case.
+    function applyHalfRingPose( mesh, pose ) {
+        mesh.position.x = pose.x;
+        mesh.position.z = pose.z;
+
+        if( pose.isFree ) {
             mesh.rotate(BABYLON.Axis.X, -Math.PI / 2, BABYLON.Space.LOCAL);
             mesh.rotate(BABYLON.Axis.Y, -Math.PI / 2, BABYLON.Space.LOCAL);
-            mesh.position.x =  3.5 - 3;
-            mesh.position.z = -1.5 + 4;
         }
         else {
-            // Parse the position
-            var pos = position.match(/^([UD])\((\d),(\d)\)-\((\d),(\d)\)$/);
-
-            if( pos == null ) {
-                console.log("Cannot parse position: ", position);
-                return;
-            }
+            let rotation = pose.rotation || getRotation( pose.angle, pose.pegPos );
 
-            // Ring position information, let's try not to be too cute about this
-            var RingPosData = {
-                "1,0": { rz: 0 },
-                "1,1": { oz: +0.5, rz: 1 },
-                "0,1": { ox: -0.5, oz: +0.5, rz: 2 },
-                "-1,1":{ ox: -1, oz: +0.5, rz: 3 },
-                "-1,0":{ ox: -1, rz: 4 },
-                "-1,-1":{ox: -1, oz: -0.5, rz: 5 },
-                "0,-1":{ ox: -0.5, oz: -0.5, rz: 6 },
-                "1,-1":{ ox: 0, oz: -0.5, rz: 7 }
-            }
+            mesh.rotation.y = rotation.y;
+            mesh.rotation.z = rotation.z;
+        }
+    }
 
-            var dx = parseInt(pos[4],10)-parseInt(pos[2],10);
-            var dy = parseInt(pos[5],10)-parseInt(pos[3],10);
-            var pd = RingPosData[""+dx+","+dy];
+    // Computes the pose of a half ring at time t (from 0 to 1) of a move between two poses (see solver.describeMoves):
+    // - rotations pivot around the end of the ring that stays in place, which is the peg for rotations outside the frame;
+    // - slides translate the ring;
+    // - flips turn the ring around its center;
+    // - moves from or to FREE just translate the ring, which gets its final orientation at the end of the move.
+    function interpolatePose( from, to, move, t ) {
+        function lerp( a, b ) {
+            return a + (b - a) * t;
+        }
 
-            if( !pd ) {
-                console.log("No data for position: "+dx+","+dy);
-                return;
-            }
+        if( t >= 1 ) {
+            return to;
+        }
 
-            var rot_y = Math.PI;
-            var rot_z = pd.rz * 2 * Math.PI / 8;
+        if( from.isFree || to.isFree ) {
+            return Object.assign( {}, from.isFree ? to : from, { isFree: false, x: lerp(from.x, to.x), z: lerp(from.z, to.z) } );
+        }
 
-            if( pos[1] == "D" ) {
-                rot_y = 0;
-                rot_z = Math.PI - rot_z;
-            }
+        var pose = {
+            isFree: false,
+            pegPos: from.pegPos,
+            angle: from.angle,
+            x: lerp(from.x, to.x),
+            z: lerp(from.z, to.z)
+        }
 
-            mesh.position.x = parseInt( pos[2], 10 )     + (pd.ox || 0);
-            mesh.position.z = parseInt( pos[3], 10 ) - 2 + (pd.oz || 0);
+        if( move.type == "rotate" || move.type == "free" ) {
+            // Turn the smallest way from the start angle to the end angle
+            let delta = Math.atan2( Math.sin(to.angle - from.angle), Math.cos(to.angle - from.angle) );
+            let angle = from.angle + delta * t;
+
+            // Ends of the ring (peg and solid part) are half a cell away from the center, the one that doesn't move is the pivot.
+            // The pivot is not exactly in the same place at the start and end of the move (diagonal rings span a longer
+            // distance between cell centers), so it's moved smoothly between the two.
+            let pivotSign = move.type == "free" ? -1 : +1;
+            let pivotX = lerp( from.cx + pivotSign * 0.5 * Math.cos(from.angle), to.cx + pivotSign * 0.5 * Math.cos(to.angle) );
+            let pivotZ = lerp( from.cz + pivotSign * 0.5 * Math.sin(from.angle), to.cz + pivotSign * 0.5 * Math.sin(to.angle) );
+
+            // Keep the difference between mesh position and geometric center (e.g. for the rounded corner)
+            pose.x = pivotX - pivotSign * 0.5 * Math.cos(angle) + lerp(from.x - from.cx, to.x - to.cx);
+            pose.z = pivotZ - pivotSign * 0.5 * Math.sin(angle) + lerp(from.z - from.cz, to.z - to.cz);
+            pose.angle = angle;
+        }
+        else if( move.type == "flip" ) {
+            let fromRotation = getRotation( from.angle, from.pegPos );
+            let toRotation = getRotation( to.angle, to.pegPos );
 
-            if( position.match(/.\(3,1\)-\(4,0\)/) ) { // Special case because of the round corner
-                mesh.position.x -= 0.2;
-                mesh.position.z += 0.2;
+            pose.rotation = {
+                y: lerp(fromRotation.y, toRotation.y),
+                z: lerp(fromRotation.z, fromRotation.z + Math.atan2( Math.sin(toRotation.z - fromRotation.z), Math.cos(toRotation.z - fromRotation.z) ))
             }
-
-            mesh.rotation.y = rot_y;
-            mesh.rotation.z = rot_z;
         }
+
+        return pose;
     }
 
     createScene();
 
+    var frameUpdate; // Called before rendering each frame while a player is active
+
+    engine.runRenderLoop( function() {
+        if( frameUpdate ) frameUpdate();
+
+        scene.render();
+    } );
+
+    window.addEventListener( "resize", function() {
+        engine.resize();
+    } );
+
     var curRingMeshId = 0;
-    var curRingMesh;
 
-    function renderPosition( ringPosition ) {
-        if( curRingMesh ) curRingMesh.dispose();
+    // Half ring meshes currently in the scene, as { mesh, isFree } indexed by half (0 for left, 1 for right)
+    var halfRingMeshes = [];
+
+    // Shows a half ring in the specified pose. Free rings can only be posed on a fresh clone (see applyHalfRingPose),
+    // so the mesh is cloned again when the ring becomes free or stops being free, otherwise the same mesh is moved around
+    // (this is called for every frame while a player is active).
+    function showHalfRing( index, pose, material ) {
+        var current = halfRingMeshes[index];
+
+        if( current && current.isFree == pose.isFree ) {
+            current.mesh.material = material;
+
+            if( pose.isFree ) {
+                current.mesh.position.x = pose.x; // Already turned when it was cloned
+                current.mesh.position.z = pose.z;
+            }
+            else {
+                applyHalfRingPose( current.mesh, pose );
+            }
+
+            return;
+        }
+
+        hideHalfRing( index );
 
         curRingMeshId++;
 
-        curRingMesh = ringMesh.clone("c"+curRingMeshId);
-        curRingMesh.visibility = 1;
+        current = halfRingMeshes[index] = { mesh: ringMesh.clone("c"+curRingMeshId), isFree: pose.isFree };
+        current.mesh.visibility = 1;
+        current.mesh.material = material;
+
+        applyHalfRingPose( current.mesh, pose );
+    }
+
+    function hideHalfRing( index ) {
+        if( halfRingMeshes[index] ) {
+            halfRingMeshes[index].mesh.dispose();
+            halfRingMeshes[index] = undefined;
+        }
+    }
+
+    // Returns the materials for the halves of a position: red for both if they overlap
+    function getMaterials( halves ) {
+        var conflict = halves.length == 2 && solver.getJointConflict( halves[0], halves[1] );
 
-        setHalfRingPosition( curRingMesh, ringPosition );
+        return conflict ? [materials.conflict, materials.conflict] : materials;
+    }
+
+    // Shows a half ring position in the live view, or both halves if the right half position is specified too
+    // (a joint position like "D(3,1)-(4,0)+U(3,1)-(4,0)" is also accepted as the only argument).
+    // Returns false if the position is not valid.
+    function showPosition( leftPosition, rightPosition ) {
+        var halves = solver.getPositionHalves( rightPosition === undefined ? leftPosition : leftPosition + solver.JointSeparator + rightPosition );
+
+        if( ! halves ) {
+            return false;
+        }
+
+        var halfMaterials = getMaterials( halves );
+
+        for( let i=0; i<2; i++ ) {
+            if( halves[i] ) {
+                showHalfRing( i, getHalfRingPose(halves[i], i), halfMaterials[i] );
+            }
+            else {
+                hideHalfRing( i );
+            }
+        }
+
+        return true;
+    }
+
+    // Renders a position like showPosition, from the current camera view, and returns the image as a data URL
+    function renderPosition( leftPosition, rightPosition ) {
+        if( ! showPosition( leftPosition, rightPosition ) ) {
+            return;
+        }
 
         scene.render();
 
         return canvas.toDataURL();
     }
 
+    // Creates a player that animates a sequence of positions (half ring or joint positions) in the live view,
+    // replacing any previous player. In joint positions only one half moves at each step.
+    // The onStep callback is called with the index of the position reached after every move.
+    function createPlayer( positions, onStep ) {
+        const StepDuration = 1000; // Milliseconds per move at normal speed
+
+        var halves = positions.map( solver.getPositionHalves );
+        var poses = halves.map( function(h) { return h.map( getHalfRingPose ); } );
+        var moves = solver.describeMoves( positions );
+
+        var step = 0; // Index of the last position reached
+        var progress = 0; // Progress of the following move, from 0 to 1
+        var speed = 1;
+        var playing = false;
+        var lastTime;
+
+        function update() {
+            let now = Date.now();
+
+            if( playing && step < poses.length-1 ) {
+                progress += (now - lastTime) * speed / StepDuration;
+
+                if( progress >= 1 ) {
+                    progress = 0;
+                    step++;
+
+                    if( step == poses.length-1 ) playing = false;
+                    if( onStep ) onStep( step );
+                }
+            }
+
+            lastTime = now;
+
+            let halfMaterials = getMaterials( halves[step] );
+
+            for( let i=0; i<poses[step].length; i++ ) {
+                let movingHalf = moves[step] && moves[step].half == "right" ? 1 : 0;
+
+                if( progress > 0 && i == movingHalf ) {
+                    showHalfRing( i, interpolatePose( poses[step][i], poses[step+1][i], moves[step], progress ), materials[i] );
+                }
+                else {
+                    showHalfRing( i, poses[step][i], progress > 0 ? materials[i] : halfMaterials[i] );
+                }
+            }
+        }
+
+        // Moves to the specified position, without animation
+        function goTo( index ) {
+            playing = false;
+            progress = 0;
+            step = Math.max( 0, Math.min( poses.length-1, index ) );
+            if( onStep ) onStep( step );
+        }
+
+        hideHalfRing( 0 ); // Remove the position shown before
+        hideHalfRing( 1 );
+
+        frameUpdate = update;
+
+        return {
+            play: function() {
+                if( step == poses.length-1 ) step = 0; // Restart from the beginning
+                lastTime = Date.now();
+                playing = true;
+            },
+            pause: function() {
+                playing = false;
+            },
+            // Moves to the next (delta=+1) or previous (delta=-1) position, without animation
+            step: function(delta) {
+                goTo( step + delta );
+            },
+            goTo: goTo,
+            setSpeed: function(value) {
+                speed = value;
+            },
+            isPlaying: function() {
+                return playing;
+            },
+            // Stops the animation and removes the rings from the scene
+            stop: function() {
+                if( frameUpdate == update ) frameUpdate = undefined;
+                hideHalfRing( 0 );
+                hideHalfRing( 1 );
+            }
+        }
+    }
+
     return {
-        renderPosition: renderPosition
+        Views: Object.keys(Views),
+
+        setView: setView,
+        setOrientation: setOrientation,
+        showPosition: showPosition,
+        renderPosition: renderPosition,
+        createPlayer: createPlayer
     }
 }
\ No newline at end of file
@@ -0,0 +1,250 @@
+/*
+    A 2D renderer for the Hanayama Cast Duet puzzle.
+
+    Draws a top-down diagram of the frame, seen from the DUET side, as SVG or as plain text. It doesn't need WebGL
+    or any library, so it works in the browser as well as in Node (e.g. to print solution diagrams from scripts or CI).
+
+    The frame is built from the topology sketch of the solver (see solver.getFrame), dents are marked by face:
+    D (DUET side), H (Hanayama side) or B (both sides).
+    Each half ring is drawn from its peg to its solid part, with the peg marked U (Up, DUET side) or D (Down, Hanayama side).
+    In joint positions the left half is gold and the right half pale gold, both turn red if they overlap.
+
+    renderPosition() has the same contract of the 3D renderer and returns the SVG image as a data URL,
+    renderSVG() and renderText() return the SVG source and the text diagram.
+*/
+function initRenderer2D( solver ) {
+    const CellSize = 60; // SVG pixels, overlays of the image (e.g. picker.js) use the same scale
+    const Colors = {
+        frame: "#888",
+        rings: ["#ffd700", "#e6dd8a"], // Gold and pale gold, as in the 3D renderer
+        conflict: "#e61a1a",
+        dents: { D: "#1f5fbf", H: "#2e9e44", B: "#8a3fbf" }
+    }
+
+    // Text diagram: each cell is 8 characters wide and 4 lines high, like the topology sketch
+    const TextCellWidth = 8;
+    const TextCellHeight = 4;
+    const TextSolidParts = ["###", "ooo"]; // Solid part of the left and right half
+
+    // Parses the arguments of the render functions (see the 3D renderer), returns undefined if the position is not valid
+    function getPosition( leftPosition, rightPosition ) {
+        var halves = solver.getPositionHalves( rightPosition === undefined ? leftPosition : leftPosition + solver.JointSeparator + rightPosition );
+
+        if( ! halves ) {
+            return;
+        }
+
+        return {
+            halves: halves.map( function(half) { return solver.getNodeInfo(half); } ),
+            conflict: halves.length == 2 ? solver.getJointConflict( halves[0], halves[1] ) : undefined,
+            name: halves.join( solver.JointSeparator )
+        }
+    }
+
+    // Returns a short text describing where the free halves are, e.g. "Right half: FREE"
+    function getFreeNote( position ) {
+        var notes = [];
+
+        position.halves.forEach( function(half, i) {
+            if( half.isFree ) {
+                notes.push( (position.halves.length == 2 ? (i == 0 ? "Left half: " : "Right half: ") : "") + half.name );
+            }
+        } );
+
+        return notes.join(", ");
+    }
+
+    // Returns the SVG source of a top-down view of the position, or undefined if the position is not valid
+    function renderSVG( leftPosition, rightPosition ) {
+        var position = getPosition( leftPosition, rightPosition );
+
+        if( ! position ) {
+            return;
+        }
+
+        // The grid has a margin of one cell all around the frame, for the rings that are partly out of the frame
+        var width = (solver.GridCols + 2) * CellSize;
+        var height = (solver.GridRows + 2) * CellSize;
+        var captionHeight = 40;
+
+        // SVG coordinates of a grid point, where the cell (col,row) spans from (col-1,row-1) to (col,row)
+        function px( x ) {
+            return (x + 1) * CellSize;
+        }
+
+        function py( y ) {
+            return (solver.GridRows + 1 - y) * CellSize;
+        }
+
+        function escape( text ) {
+            return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+        }
+
+        var svg = [
+            '<svg xmlns="http://www.w3.org/2000/svg" width="' + width + '" height="' + (height + captionHeight) + '" viewBox="0 0 ' + width + ' ' + (height + captionHeight) + '" font-family="Helvetica, sans-serif">',
+            '<rect width="100%" height="100%" fill="white"/>'
+        ];
+
+        // Frame
+        var frame = solver.getFrame();
+        var dents = {}; // Dents by position, neighbour cells share them
+
+        frame.forEach( function(cell) {
+            var left = cell.col - 1, right = cell.col;
+            var bottom = cell.row - 1, top = cell.row;
+
+            var Borders = {
+                top: [left, top, right, top],
+                bottom: [left, bottom, right, bottom],
+                left: [left, bottom, left, top],
+                right: [right, bottom, right, top]
+            }
+
+            for( let side in Borders ) {
+                if( cell.borders[side] == "straight" ) {
+                    let b = Borders[side];
+                    svg.push( '<line x1="' + px(b[0]) + '" y1="' + py(b[1]) + '" x2="' + px(b[2]) + '" y2="' + py(b[3]) + '" stroke="' + Colors.frame + '" stroke-width="6" stroke-linecap="square"/>' );
+                }
+            }
+
+            // A rounded corner is a quarter of a circle centered on the opposite corner of the cell
+            if( cell.roundedCorner ) {
+                let cx = cell.roundedCorner[1] == "l" ? right : left;
+                let cy = cell.roundedCorner[0] == "t" ? bottom : top;
+                let from = [ cx, cell.roundedCorner[0] == "t" ? top : bottom ];
+                let to = [ cell.roundedCorner[1] == "l" ? left : right, cy ];
+                let sweep = (cell.roundedCorner == "br" || cell.roundedCorner == "tl") ? 0 : 1;
+
+                svg.push( '<path d="M ' + px(from[0]) + ' ' + py(from[1]) + ' A ' + CellSize + ' ' + CellSize + ' 0 0 ' + sweep + ' ' + px(to[0]) + ' ' + py(to[1]) + '" fill="none" stroke="' + Colors.frame + '" stroke-width="6"/>' );
+            }
+
+            for( let name in cell.dents ) {
+                let p = [ left + solver.DentPlaces[name].x, bottom + solver.DentPlaces[name].y ];
+                dents[p.join(",")] = { x: p[0], y: p[1], type: cell.dents[name] };
+            }
+        } );
+
+        for( let key in dents ) {
+            let dent = dents[key];
+
+            svg.push( '<circle cx="' + px(dent.x) + '" cy="' + py(dent.y) + '" r="7" fill="' + Colors.dents[dent.type] + '"/>' );
+            svg.push( '<text x="' + px(dent.x) + '" y="' + (py(dent.y) + 3.5) + '" font-size="10" font-weight="bold" fill="white" text-anchor="middle">' + dent.type + '</text>' );
+        }
+
+        // Half rings, from the peg (with the gap) to the solid part. Pegs are drawn last, so that they are never hidden.
+        var rings = position.halves.filter( function(half) { return ! half.isFree; } ).map( function(half) {
+            return {
+                half: half,
+                color: position.conflict ? Colors.conflict : Colors.rings[ position.halves.indexOf(half) ],
+                peg: { x: px(half.pegCol - 0.5), y: py(half.pegRow - 0.5) },
+                ring: { x: px(half.ringCol - 0.5), y: py(half.ringRow - 0.5) }
+            }
+        } );
+
+        rings.forEach( function(r) {
+            svg.push( '<line x1="' + r.peg.x + '" y1="' + r.peg.y + '" x2="' + r.ring.x + '" y2="' + r.ring.y + '" stroke="' + r.color + '" stroke-width="10" stroke-linecap="round" stroke-opacity="0.85"/>' );
+            svg.push( '<circle cx="' + r.ring.x + '" cy="' + r.ring.y + '" r="9" fill="' + r.color + '" stroke="#333" stroke-width="1"/>' );
+        } );
+
+        // The peg is solid when it's Up (on the DUET side, facing the viewer) and dashed when it's Down
+        rings.forEach( function(r) {
+            var up = r.half.pegPos == "U";
+
+            svg.push( '<circle cx="' + r.peg.x + '" cy="' + r.peg.y + '" r="12" fill="' + (up ? r.color : "white") + '" stroke="#333" stroke-width="1.5"' + (up ? "" : ' stroke-dasharray="3,2"') + '/>' );
+            svg.push( '<text x="' + r.peg.x + '" y="' + (r.peg.y + 4.5) + '" font-size="13" font-weight="bold" fill="#333" text-anchor="middle">' + r.half.pegPos + '</text>' );
+        } );
+
+        // Caption with the position
+        var caption = position.name + (position.conflict ? " (" + position.conflict + ")" : "");
+        svg.push( '<text x="' + (width / 2) + '" y="' + (height + 25) + '" font-size="14" text-anchor="middle">' + escape(caption) + '</text>' );
+
+        svg.push( '</svg>' );
+
+        return svg.join("\n") + "\n";
+    }
+
+    // Returns a plain text diagram of the position, or undefined if the position is not valid.
+    // The frame is drawn with the notation of the topology sketch, pegs are shown as [U] or [D] and the solid part
+    // of the ring as ### (ooo for the right half).
+    function renderText( leftPosition, rightPosition ) {
+        var position = getPosition( leftPosition, rightPosition );
+
+        if( ! position ) {
+            return;
+        }
+
+        // The sketch is placed with a margin of one cell all around, for the rings that are partly out of the frame
+        var width = (solver.GridCols + 2) * TextCellWidth + 1;
+        var height = (solver.GridRows + 2) * TextCellHeight + 1;
+        var lines = [];
+
+        for( let r=0; r<height; r++ ) {
+            let line = r >= TextCellHeight ? solver.TopologySketch[r - TextCellHeight] || "" : "";
+            lines.push( (" ".repeat(TextCellWidth) + line + " ".repeat(width)).substring(0, width).split("") );
+        }
+
+        // Writes text in the interior of a cell, on the top (0), middle (1) or bottom (2) line
+        function write( col, row, line, text ) {
+            var r = (solver.GridRows + 1 - row) * TextCellHeight + 1 + line;
+            var c = col * TextCellWidth + Math.floor( (TextCellWidth - text.length + 1) / 2 );
+
+            for( let i=0; i<text.length; i++ ) {
+                lines[r][c+i] = text[i];
+            }
+        }
+
+        // A single half ring is written on the middle line, in a joint position the left half goes on the top line
+        // and the right half on the bottom one, so they don't overwrite each other when they share a cell
+        position.halves.forEach( function(half, i) {
+            if( half.isFree ) return;
+
+            var line = position.halves.length == 2 ? 2 * i : 1;
+
+            write( half.pegCol, half.pegRow, line, "[" + half.pegPos + "]" );
+            write( half.ringCol, half.ringRow, line, TextSolidParts[i] );
+        } );
+
+        var text = lines.map( function(line) { return line.join("").replace(/\s+$/, ""); } );
+
+        // Drop the empty lines of the margin
+        while( text[0] == "" ) text.shift();
+        while( text[text.length-1] == "" ) text.pop();
+
+        text.push( "" );
+        text.push( position.name + (position.conflict ? " (" + position.conflict + ")" : "") );
+
+        var freeNote = getFreeNote( position );
+
+        if( freeNote ) {
+            text.push( freeNote );
+        }
+
+        text.push( "[U] peg Up (DUET side), [D] peg Down (Hanayama side), " + TextSolidParts[0] + " solid part" +
+            (position.halves.length == 2 ? " of the left half, " + TextSolidParts[1] + " of the right half" : "") );
+        text.push( "Dents: D on the DUET side, H on the Hanayama side, B on both sides" );
+
+        return text.join("\n") + "\n";
+    }
+
+    // Renders a position like the 3D renderer: a half ring position, or both halves if the right half position is
+    // specified too (a joint position is also accepted as the only argument). Returns the SVG image as a data URL.
+    function renderPosition( leftPosition, rightPosition ) {
+        var svg = renderSVG( leftPosition, rightPosition );
+
+        if( svg ) {
+            return "data:image/svg+xml;charset=utf-8," + encodeURIComponent(svg);
+        }
+    }
+
+    return {
+        CellSize: CellSize,
+
+        renderPosition: renderPosition,
+        renderSVG: renderSVG,
+        renderText: renderText
+    }
+}
+
+if( typeof module !== "undefined" ) {
+    module.exports = initRenderer2D;
+}
@@ -0,0 +1,328 @@
+/*
+    Export of a Cast Duet solution, to be printed or handed out alongside the puzzle.
+
+    The images of the steps come from the renderPosition() function of a renderer: the 3D renderer (from the current
+    camera view) or the 2D renderer. The exports are:
+    - a self-contained, print-friendly HTML page with the numbered steps, their images and descriptions;
+    - a PNG contact sheet with all the steps;
+    - an animated GIF with one frame per step.
+
+    The HTML page is a plain string and can be built in Node too (with the 2D renderer), the contact sheet and the GIF
+    are drawn on a canvas so they need a browser.
+*/
+function initSolutionExport( solver, renderer ) {
+    const ContactSheetColumns = 4;
+    const ContactSheetImageSize = 240; // Pixels
+    const ContactSheetCaptionHeight = 40;
+    const GifImageSize = 320;
+    const GifFrameDelay = 100; // Centiseconds
+    const GifLastFrameDelay = 300;
+
+    // Returns the steps of a solution, each with its number, position, description and image (as a data URL)
+    function getSteps( positions ) {
+        var moves = solver.describeMoves( positions );
+
+        return positions.map( function(position, i) {
+            return {
+                number: i,
+                position: position,
+                description: i > 0 ? moves[i-1].description : "Start position",
+                image: renderer.renderPosition( position )
+            }
+        } );
+    }
+
+    function escape( text ) {
+        return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+    }
+
+    // Returns a self-contained HTML page with all the steps of the solution, images are embedded as data URLs
+    function toHTML( positions ) {
+        var steps = getSteps( positions );
+        var title = "Cast Duet: from " + positions[0] + " to " + positions[positions.length-1];
+
+        var html = [
+            '<!DOCTYPE html>',
+            '<html lang="en">',
+            '<head>',
+            '<meta charset="utf-8">',
+            '<title>' + escape(title) + '</title>',
+            '<style>',
+            'body { font-family: Helvetica, sans-serif; margin: 2em; }',
+            '.step { display: inline-block; vertical-align: top; width: 300px; margin: 0 1em 2em 0; page-break-inside: avoid; break-inside: avoid; }',
+            '.step img { width: 300px; border: 1px solid lightgray; }',
+            '.step .number { font-size: 1.5em; font-weight: bold; }',
+            '.step .position { font-family: monospace; }',
+            '@media print { body { margin: 0; } }',
+            '</style>',
+            '</head>',
+            '<body>',
+            '<h1>' + escape(title) + '</h1>',
+            '<p>' + (steps.length - 1) + ' moves</p>'
+        ];
+
+        steps.forEach( function(step) {
+            html.push( '<div class="step">' );
+            html.push( '<div class="number">' + (step.number > 0 ? step.number + '.' : 'Start') + ' <span class="position">' + escape(step.position) + '</span></div>' );
+
+            if( step.image ) {
+                html.push( '<img src="' + escape(step.image) + '" alt="' + escape(step.position) + '">' );
+            }
+
+            html.push( '<p class="description">' + escape(step.description) + '</p>' );
+            html.push( '</div>' );
+        } );
+
+        html.push( '</body>' );
+        html.push( '</html>' );
+
+        return html.join("\n") + "\n";
+    }
+
+    // Loads the step images, returns a promise of the loaded Image objects
+    function loadImages( steps ) {
+        return Promise.all( steps.map( function(step) {
+            return new Promise( function(resolve, reject) {
+                var image = new Image();
+                image.onload = function() { resolve(image); };
+                image.onerror = function() { reject( new Error("Cannot load the image of " + step.position) ); };
+                image.src = step.image;
+            } );
+        } ) );
+    }
+
+    function createCanvas( width, height ) {
+        var canvas = document.createElement("canvas");
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    // Returns a promise of a PNG image (as a data URL) with all the steps of the solution
+    function toContactSheet( positions ) {
+        var steps = getSteps( positions );
+
+        return loadImages( steps ).then( function(images) {
+            var columns = Math.min( ContactSheetColumns, steps.length );
+            var rows = Math.ceil( steps.length / columns );
+            var cellHeight = ContactSheetImageSize + ContactSheetCaptionHeight;
+
+            var canvas = createCanvas( columns * ContactSheetImageSize, rows * cellHeight );
+            var context = canvas.getContext("2d");
+
+            context.fillStyle = "white";
+            context.fillRect( 0, 0, canvas.width, canvas.height );
+
+            steps.forEach( function(step, i) {
+                var x = (i % columns) * ContactSheetImageSize;
+                var y = Math.floor(i / columns) * cellHeight;
+
+                context.drawImage( images[i], x, y, ContactSheetImageSize, ContactSheetImageSize );
+
+                context.fillStyle = "black";
+                context.font = "14px Helvetica, sans-serif";
+                context.textAlign = "center";
+                context.fillText( (step.number > 0 ? step.number + ". " : "Start: ") + step.position, x + ContactSheetImageSize / 2, y + ContactSheetImageSize + 25 );
+            } );
+
+            return canvas.toDataURL("image/png");
+        } );
+    }
+
+    // Returns a promise of an animated GIF (as a Uint8Array) with one frame per step
+    function toGIF( positions ) {
+        var steps = getSteps( positions );
+
+        return loadImages( steps ).then( function(images) {
+            var canvas = createCanvas( GifImageSize, GifImageSize );
+            var context = canvas.getContext("2d");
+
+            var frames = images.map( function(image, i) {
+                context.fillStyle = "white";
+                context.fillRect( 0, 0, GifImageSize, GifImageSize );
+                context.drawImage( image, 0, 0, GifImageSize, GifImageSize );
+
+                return {
+                    pixels: context.getImageData( 0, 0, GifImageSize, GifImageSize ).data,
+                    delay: i == images.length-1 ? GifLastFrameDelay : GifFrameDelay
+                }
+            } );
+
+            return encodeGIF( GifImageSize, GifImageSize, frames );
+        } );
+    }
+
+    // GIF encoding. Frames use a fixed palette: a 6x6x6 color cube plus 40 grays, which is good enough for the
+    // few flat colors of the puzzle images.
+    const GifPalette = (function() {
+        var palette = [];
+
+        for( let r=0; r<6; r++ ) {
+            for( let g=0; g<6; g++ ) {
+                for( let b=0; b<6; b++ ) {
+                    palette.push( r * 51, g * 51, b * 51 );
+                }
+            }
+        }
+
+        for( let i=0; i<40; i++ ) {
+            let gray = Math.round( i * 255 / 39 );
+            palette.push( gray, gray, gray );
+        }
+
+        return palette;
+    })();
+
+    // Maps RGBA pixels to palette indices
+    function quantize( pixels ) {
+        var indices = new Uint8Array( pixels.length / 4 );
+
+        for( let i=0; i<indices.length; i++ ) {
+            let r = pixels[4*i], g = pixels[4*i+1], b = pixels[4*i+2];
+
+            if( Math.max(r, g, b) - Math.min(r, g, b) < 12 ) {
+                indices[i] = 216 + Math.round( (r + g + b) / 3 * 39 / 255 );
+            }
+            else {
+                indices[i] = Math.round(r / 51) * 36 + Math.round(g / 51) * 6 + Math.round(b / 51);
+            }
+        }
+
+        return indices;
+    }
+
+    // Compresses palette indices with the variable code size LZW of the GIF format, returns the list of bytes
+    function compressLZW( indices, minCodeSize ) {
+        const ClearCode = 1 << minCodeSize;
+        const EndCode = ClearCode + 1;
+        const MaxCode = 4096;
+
+        var bytes = [];
+        var bitBuffer = 0, bitCount = 0;
+        var codeSize = minCodeSize + 1;
+        var nextCode = EndCode + 1;
+        var table = new Map();
+
+        function emit( code ) {
+            bitBuffer |= code << bitCount;
+            bitCount += codeSize;
+
+            while( bitCount >= 8 ) {
+                bytes.push( bitBuffer & 0xff );
+                bitBuffer >>= 8;
+                bitCount -= 8;
+            }
+        }
+
+        emit( ClearCode );
+
+        var prefix = indices[0];
+
+        for( let i=1; i<indices.length; i++ ) {
+            let key = (prefix << 8) | indices[i];
+            let code = table.get(key);
+
+            if( code !== undefined ) {
+                prefix = code;
+                continue;
+            }
+
+            emit( prefix );
+
+            if( nextCode == MaxCode ) {
+                // The table is full, start over
+                emit( ClearCode );
+                table.clear();
+                codeSize = minCodeSize + 1;
+                nextCode = EndCode + 1;
+            }
+            else {
+                if( nextCode >= (1 << codeSize) ) codeSize++;
+                table.set( key, nextCode++ );
+            }
+
+            prefix = indices[i];
+        }
+
+        emit( prefix );
+        emit( EndCode );
+
+        if( bitCount > 0 ) {
+            bytes.push( bitBuffer & 0xff );
+        }
+
+        return bytes;
+    }
+
+    // Encodes an animated GIF that loops forever. Each frame has the RGBA pixels (e.g. from ImageData) and its delay
+    // in centiseconds. Returns a Uint8Array.
+    function encodeGIF( width, height, frames ) {
+        var bytes = [];
+
+        function writeString( text ) {
+            for( let i=0; i<text.length; i++ ) bytes.push( text.charCodeAt(i) );
+        }
+
+        function writeWord( value ) {
+            bytes.push( value & 0xff, (value >> 8) & 0xff );
+        }
+
+        // Header and logical screen descriptor, with a global color table of 256 entries
+        writeString( "GIF89a" );
+        writeWord( width );
+        writeWord( height );
+        bytes.push( 0xf7, 0, 0 );
+
+        for( let i=0; i<256*3; i++ ) {
+            bytes.push( GifPalette[i] || 0 );
+        }
+
+        // Netscape application extension, to loop forever
+        bytes.push( 0x21, 0xff, 11 );
+        writeString( "NETSCAPE2.0" );
+        bytes.push( 3, 1, 0, 0, 0 );
+
+        frames.forEach( function(frame) {
+            // Graphic control extension, for the frame delay
+            bytes.push( 0x21, 0xf9, 4, 0x04 );
+            writeWord( frame.delay );
+            bytes.push( 0, 0 );
+
+            // Image descriptor, the frame covers the whole image and uses the global color table
+            bytes.push( 0x2c );
+            writeWord( 0 );
+            writeWord( 0 );
+            writeWord( width );
+            writeWord( height );
+            bytes.push( 0 );
+
+            // Image data, in sub-blocks of at most 255 bytes
+            var data = compressLZW( quantize( frame.pixels ), 8 );
+
+            bytes.push( 8 );
+
+            for( let i=0; i<data.length; i+=255 ) {
+                let block = data.slice( i, i+255 );
+                bytes.push( block.length );
+                Array.prototype.push.apply( bytes, block );
+            }
+
+            bytes.push( 0 );
+        } );
+
+        bytes.push( 0x3b );
+
+        return new Uint8Array( bytes );
+    }
+
+    return {
+        toHTML: toHTML,
+        toContactSheet: toContactSheet,
+        toGIF: toGIF,
+        encodeGIF: encodeGIF
+    }
+}
+
+if( typeof module !== "undefined" ) {
+    module.exports = initSolutionExport;
+}
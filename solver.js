@@ -4,7 +4,8 @@
 
     The solver idea is simple: we build a graph where nodes are all possible ring positions, and
     edges connects the ring positions as allowed by the puzzle mechanic. We then use Dijkstra's algorithm
-    to find the minimum path between two nodes.
+    to find the minimum path between two nodes. Search results are kept apart from the graph and cached,
+    so distance maps from any position (or the full distance table) can be queried cheaply.
 
     The puzzle is supposed to be in "standard" position, i.e. the "DUET" sign can be read and the rounded corner is on the bottom right.
 
@@ -31,18 +32,26 @@
     A (half) ring is described by the peg orientation (Up or Down), followed by the peg position (called "peg" in the code),
     followed by the position of the solid part of the ring (called "ring" in the code).
 
-    For example the initial position (assuming ring extends to the right) is:
+    For example the initial position (with the ring in the rounded corner) is:
 
-        D(3,1)-(4,1)
-        U(3,1)-(4,1)
+        D(3,1)-(4,0)
+        U(3,1)-(4,0)
 
     Dents are described with the following convention:
 
     D = dent in Duet (top) side
     H = dent in Hanayama (bottom) side
     B = dent in both sides
+
+    The two half rings can also be solved together: a joint position is written as the left half position,
+    a "+" sign and the right half position, for example the assembled puzzle is:
+
+        D(3,1)-(4,0)+U(3,1)-(4,0)
+
+    Other frames can be solved by passing a different sketch, e.g. initSolver({ sketch: [...] }):
+    the grid size is taken from the sketch, and coordinates range from 0 to the number of columns (rows) plus one.
 */
-function initSolver() {
+function initSolver( options ) {
     const CastDuetTopologySketch = [
         "+-H-----+-H---H-+-----H-+",
         "|       H       D       H",
@@ -64,7 +73,34 @@ function initSolver() {
 
     const FreeRingName = "FREE";
 
-    // For simplicity, this implementation is hardcoded for the original puzzle (3x3 grid)
+    // Initial position of the two halves, with the ring in the rounded corner
+    const InitialHalfRingRight = "U(3,1)-(4,0)";
+    const InitialHalfRingLeft = "D(3,1)-(4,0)";
+
+    const JointSeparator = "+"; // Separates the left and right half in a joint position, e.g. "D(3,1)-(4,0)+U(3,1)-(4,0)"
+
+    // Codes of the errors returned by canonicalizePosition, findSolution and findJointSolution
+    const ErrorCodes = {
+        InvalidNotation: "INVALID_NOTATION",    // The position can't be parsed
+        UnknownPosition: "UNKNOWN_POSITION",    // The position is well formed but it's not in the graph
+        JointConflict: "JOINT_CONFLICT",        // The two halves of a joint position collide or block each other
+        MixedPositions: "MIXED_POSITIONS",      // A joint position and a half ring position can't be mixed
+        Unreachable: "UNREACHABLE",             // The target can't be reached from the start
+        InvalidCosts: "INVALID_COSTS"           // The cost model is not valid (see getCostFunction)
+    }
+
+    options = options || {};
+
+    // The frame can be replaced by any sketch that uses the same notation: each cell is 8 characters wide and 4 lines high
+    const TopologySketch = options.sketch || CastDuetTopologySketch;
+
+    const GridCols = Math.floor( (Math.max.apply(null, TopologySketch.map(function(line) { return line.length; })) - 1) / 8 );
+    const GridRows = Math.floor( (TopologySketch.length - 1) / 4 );
+
+    if( !(GridCols >= 1 && GridRows >= 1) ) {
+        throw new Error("Invalid topology sketch: the frame must contain at least one cell");
+    }
+
     function getCellName(col, row) {
         return "(" + col + "," + row + ")";
     }
@@ -73,8 +109,9 @@ function initSolver() {
         return pegPos + Ring.positionToName(pegCol,pegRow,ringCol,ringRow);
     }
 
+    // Cells are inside the frame from (1,1) to (GridCols,GridRows)
     function isCellFree(col, row) {
-        return (col <= 0) || (row <= 0) || (col >= 4) || (row >= 4);
+        return (col <= 0) || (row <= 0) || (col > GridCols) || (row > GridRows);
     }
 
     // (Half) ring information
@@ -103,6 +140,12 @@ function initSolver() {
         return getCellName(pegCol,pegRow) + "-" + getCellName(ringCol,ringRow);
     }
 
+    // Neighbour cells of a peg, as column and row offsets, in the order of the ring orientations (see generateAllRingsForCell)
+    const Neighbours = [ [-1,-1], [-1,0], [-1,1], [0,1], [1,1], [1,0], [1,-1], [0,-1] ];
+
+    // Names of the ring orientations, as in generateAllRingsForCell
+    const RotationNames = ["BottomLeft", "Left", "TopLeft", "Top", "TopRight", "Right", "BottomRight", "Bottom"];
+
     // Generate all possible ring positions for a specified cell
     function generateAllRingsForCell(pegCol, pegRow) {
         var list = [];
@@ -139,11 +182,22 @@ function initSolver() {
         this.connectsTo = {};
     }
 
-    // Returns an object describing the dents around a cell
-    function getCellDents( col, row ) {
-        let sketch = CastDuetTopologySketch;
+    // Places of the dents on the borders of a cell (see getCellDents), a quarter of a cell away from the corners:
+    // the side of the cell and the offsets from its bottom left corner, in cells, e.g. "tl" is on the top side, on the left
+    const DentPlaces = {
+        tl: { side: "top", x: 0.25, y: 1 },
+        tr: { side: "top", x: 0.75, y: 1 },
+        bl: { side: "bottom", x: 0.25, y: 0 },
+        br: { side: "bottom", x: 0.75, y: 0 },
+        lt: { side: "left", x: 0, y: 0.75 },
+        lb: { side: "left", x: 0, y: 0.25 },
+        rt: { side: "right", x: 1, y: 0.75 },
+        rb: { side: "right", x: 1, y: 0.25 }
+    }
 
-        let skTopRow = 12 - row*4;
+    // Returns an object describing the dents around a cell
+    function getCellDents( sketch, col, row ) {
+        let skTopRow = (GridRows - row) * 4;
         let skBottomRow = skTopRow + 4;
         let skLeftCol = (col-1)*8;
         let skRightCol = skLeftCol + 8;
@@ -175,26 +229,108 @@ function initSolver() {
         return dents;
     }
 
-    // Creates the edges that connect one node to the nodes that can be reached with a legal move
-    function getNodeConnections( node ) {
-        var ring = node.ring;
-        var dents = getCellDents( ring.pegCol, ring.pegRow );
+    // Returns the ring orientation (see generateAllRingsForCell) of a ring from its peg and ring cells
+    function getRotation( pegCol, pegRow, ringCol, ringRow ) {
+        return Neighbours.findIndex( function(n) { return n[0] == ringCol - pegCol && n[1] == ringRow - pegRow; } );
+    }
+
+    // Returns "cw" or "ccw" for a change of ring orientation (orientations are numbered clockwise)
+    function getRotationDirection( fromRotation, toRotation ) {
+        return ((toRotation - fromRotation + 8) % 8) < 4 ? "cw" : "ccw";
+    }
+
+    // Checks if a cell of the frame has a rounded corner (see getFrame): cells outside the frame never do,
+    // even if the corner is drawn on their border in the sketch
+    function hasRoundedCorner( col, row ) {
+        return RoundedCornerCells.indexOf( getCellName(col, row) ) >= 0;
+    }
+
+    // Returns the frame borders of a cell: each side is a "straight" bar, part of a "rounded" corner, or "none"
+    function getCellBorders( sketch, col, row ) {
+        let skTopRow = (GridRows - row) * 4;
+        let skLeftCol = (col-1)*8;
+
+        function getBorder( chars ) {
+            if( chars.indexOf("/") >= 0 || chars.indexOf("\\") >= 0 ) {
+                return "rounded";
+            }
+
+            return chars.trim() != "" ? "straight" : "none";
+        }
+
+        function getColumn( skCol ) {
+            let chars = "";
+
+            for( let r=skTopRow+1; r<skTopRow+4; r++ ) {
+                chars += (sketch[r] || "")[skCol] || " ";
+            }
+
+            return chars;
+        }
+
+        return {
+            top: getBorder( (sketch[skTopRow] || "").substring(skLeftCol+1, skLeftCol+8) ),
+            bottom: getBorder( (sketch[skTopRow+4] || "").substring(skLeftCol+1, skLeftCol+8) ),
+            left: getBorder( getColumn(skLeftCol) ),
+            right: getBorder( getColumn(skLeftCol+8) )
+        }
+    }
+
+    // Lists the moves that can be attempted from a ring position. Each candidate has the name of the target node,
+    // tells whether the move is allowed and describes the move, which will be attached to the graph edge:
+    //
+    //  { type: "rotate", direction: "cw"|"ccw", angle: 45, dentName, dentCell, side }  45° rotation thru a dent
+    //  { type: "slide", direction: "up"|"down"|"left"|"right", dentName, dentCell, side }  translation thru a dent
+    //  { type: "free", direction: "cw"|"ccw", angle: 45|90 }  rotation around the peg, with the ring out of the frame
+    //  { type: "flip" }  180° turn
+    //
+    // Moves thru a dent of a cell with a rounded corner are also marked with corner: true, as they are tighter.
+    // Moves thru a dent also report the dent they found, so that it's possible to explain why a move is not allowed.
+    function getMoveCandidates( ring, sketch ) {
+        var candidates = [];
+        var dents = getCellDents( sketch, ring.pegCol, ring.pegRow );
+        var side = ring.pegPos == PegPosUp ? "DUET" : "Hanayama";
 
         function connect( dentName, colDelta, rowDelta, ringColDelta, ringRowDelta ) {
             let newPegCol = ring.pegCol + colDelta;
             let newPegRow = ring.pegRow + rowDelta;
             let dent = dents[dentName];
+            let isSlide = ringColDelta !== undefined;
+            let move;
 
             ringColDelta = ringColDelta || 0; // These values are specified only for translations (slide moves)
             ringRowDelta = ringRowDelta || 0;
 
             let dentOk = (ring.pegPos == PegPosUp && (dent == "D" || dent == "B")) || (ring.pegPos == PegPosDown && (dent == "H" || dent == "B"));
 
-            if( dentOk ) {
-                var targetNode = getNodeName(ring.pegPos, newPegCol, newPegRow, ring.ringCol+ringColDelta, ring.ringRow+ringRowDelta);
+            if( isSlide ) {
+                move = {
+                    type: "slide",
+                    direction: rowDelta > 0 ? "up" : rowDelta < 0 ? "down" : colDelta < 0 ? "left" : "right"
+                }
+            }
+            else {
+                move = {
+                    type: "rotate",
+                    direction: getRotationDirection( ring.rotation, getRotation(newPegCol, newPegRow, ring.ringCol, ring.ringRow) ),
+                    angle: 45
+                }
+            }
+
+            move.dentName = dentName;
+            move.dentCell = { col: ring.pegCol, row: ring.pegRow };
+            move.side = side;
 
-                node.connectsTo[targetNode] = true;
+            if( hasRoundedCorner(ring.pegCol, ring.pegRow) ) {
+                move.corner = true;
             }
+
+            candidates.push( {
+                target: getNodeName(ring.pegPos, newPegCol, newPegRow, ring.ringCol+ringColDelta, ring.ringRow+ringRowDelta),
+                allowed: dentOk,
+                dent: dent,
+                move: move
+            } );
         }
 
         let ringPartFree = isCellFree(ring.ringCol,ring.ringRow);
@@ -263,18 +399,55 @@ function initSolver() {
                     let pegRingDistance = Math.sqrt( Math.pow(ring.pegCol-newRingCol,2) + Math.pow(ring.pegRow-newRingRow,2) );
 
                     if( isCellFree(newRingCol,newRingRow) && pegRingDistance > 0 && pegRingDistance < 2 ) {
-                        let targetNode = getNodeName(ring.pegPos, ring.pegCol, ring.pegRow, newRingCol, newRingRow);
-
-                        node.connectsTo[targetNode] = true;
+                        let newRotation = getRotation(ring.pegCol, ring.pegRow, newRingCol, newRingRow);
+
+                        candidates.push( {
+                            target: getNodeName(ring.pegPos, ring.pegCol, ring.pegRow, newRingCol, newRingRow),
+                            allowed: true,
+                            move: {
+                                type: "free",
+                                direction: getRotationDirection( ring.rotation, newRotation ),
+                                angle: 45 * Math.min( (newRotation - ring.rotation + 8) % 8, (ring.rotation - newRotation + 8) % 8 )
+                            }
+                        } );
                     }
                 }
             }
         }
 
         // The ring can also do a 180° turn, and this is always possible: just swap the ring/peg cells and flip the peg up/down
-        var targetNode = getNodeName(ring.pegPos == PegPosDown ? PegPosUp : PegPosDown, ring.ringCol, ring.ringRow, ring.pegCol, ring.pegRow);
+        candidates.push( {
+            target: getNodeName(ring.pegPos == PegPosDown ? PegPosUp : PegPosDown, ring.ringCol, ring.ringRow, ring.pegCol, ring.pegRow),
+            allowed: true,
+            move: {
+                type: "flip"
+            }
+        } );
+
+        return candidates;
+    }
+
+    // Creates the edges that connect one node to the nodes that can be reached with a legal move,
+    // each edge is the description of the move (see getMoveCandidates)
+    function getNodeConnections( node, sketch ) {
+        getMoveCandidates( node.ring, sketch ).forEach( function(candidate) {
+            if( candidate.allowed && ! node.connectsTo[ candidate.target ] ) {
+                node.connectsTo[ candidate.target ] = candidate.move;
+            }
+        } );
+    }
+
+    // Returns the description of the same move done backwards
+    function getReverseMove( move ) {
+        const Opposites = { cw: "ccw", ccw: "cw", up: "down", down: "up", left: "right", right: "left" };
+
+        var reverse = Object.assign( {}, move );
 
-        node.connectsTo[targetNode] = true;
+        if( move.direction ) {
+            reverse.direction = Opposites[move.direction];
+        }
+
+        return reverse;
     }
 
     function parseTopologySketch( sketch ) {
@@ -297,8 +470,9 @@ function initSolver() {
             } );
         }
 
-        for( let col=0; col<=4; col++ ) {
-            for( let row=0; row<=4; row++ ) {
+        // Include the cells just outside the frame, where the peg can be while the ring is still inside
+        for( let col=0; col<=GridCols+1; col++ ) {
+            for( let row=0; row<=GridRows+1; row++ ) {
                 let rings = generateAllRingsForCell( col, row );
 
                 rings.forEach( function(ring) {
@@ -318,68 +492,170 @@ function initSolver() {
 
             let node = nodes[n];
 
-            getNodeConnections( node );
+            getNodeConnections( node, sketch );
 
             // If node is connected to FREE, connect FREE to it too!
             if( node.connectsTo.FREE ) {
-                nodes.FREE.connectsTo[ node.name ] = true;
+                nodes.FREE.connectsTo[ node.name ] = getReverseMove( node.connectsTo.FREE );
             }
         }
 
         return nodes;
     }
 
+    // Binary heap of node names, sorted by priority (lowest first)
+    function PriorityQueue() {
+        this.items = [];
+    }
+
+    PriorityQueue.prototype.isEmpty = function() {
+        return this.items.length == 0;
+    }
+
+    PriorityQueue.prototype.push = function(name, priority) {
+        let items = this.items;
+        let i = items.length;
+
+        items.push( { name: name, priority: priority } );
+
+        // Move the new item up until its parent has a lower priority
+        while( i > 0 ) {
+            let parent = (i - 1) >> 1;
+
+            if( items[parent].priority <= items[i].priority ) break;
+
+            let temp = items[parent]; items[parent] = items[i]; items[i] = temp;
+            i = parent;
+        }
+    }
+
+    PriorityQueue.prototype.pop = function() {
+        let items = this.items;
+        let top = items[0];
+        let last = items.pop();
+
+        if( items.length > 0 ) {
+            items[0] = last;
+
+            // Move the last item down until both children have a higher priority
+            let i = 0;
+
+            for( ;; ) {
+                let min = i;
+                let left = 2*i + 1;
+                let right = left + 1;
+
+                if( left < items.length && items[left].priority < items[min].priority ) min = left;
+                if( right < items.length && items[right].priority < items[min].priority ) min = right;
+
+                if( min == i ) break;
+
+                let temp = items[min]; items[min] = items[i]; items[i] = temp;
+                i = min;
+            }
+        }
+
+        return top;
+    }
+
+    // Map that keeps only the most recently used entries, up to the specified number
+    function RecentCache( size ) {
+        this.size = size;
+        this.items = new Map();
+    }
+
+    RecentCache.prototype.get = function(key) {
+        let value = this.items.get(key);
+
+        if( value !== undefined ) {
+            // Move the entry to the end, i.e. make it the most recently used
+            this.items.delete(key);
+            this.items.set(key, value);
+        }
+
+        return value;
+    }
+
+    RecentCache.prototype.set = function(key, value) {
+        this.items.delete(key);
+        this.items.set(key, value);
+
+        if( this.items.size > this.size ) {
+            this.items.delete( this.items.keys().next().value ); // Least recently used
+        }
+    }
+
     // See https://en.wikipedia.org/wiki/Dijkstra's_algorithm
-    function dijkstra(nodes, sourceNode) {
-        var q = {}; // Unvisited nodes
-        var qlen = 0;
-
-        // Initialize list of unvisited nodes
-        for( let n in nodes ) {
-            nodes[n].dist = +Infinity;
-            nodes[n].prev = undefined;
-            q[n] = true;
-            qlen++; // Make it easier to detect when q is empty
-        }
-
-        nodes[ sourceNode ].dist = 0; // Distance of source node from itself
-
-        // Loop over remaining nodes
-        while( qlen > 0 ) {
-            // Find the node u with the minimum distance
-            let u_dist = +Infinity;
-            let u;
-
-            for( let n in q ) {
-                if( nodes[n].dist < u_dist ) {
-                    u = n;
-                    u_dist = nodes[u].dist;
-                }
+    // The graph is explored thru the forEachNeighbor(name,callback) function, which calls callback(neighborName,cost)
+    // for every node that can be reached from the specified one: this way the same search works for graphs that are
+    // built on the fly. If a target node is specified the search stops as soon as the target is reached, the target can
+    // also be a function of the node name, to stop at the first node (i.e. the nearest one) for which it returns true.
+    // Results are returned as { dist, prev, reached } where dist and prev are maps indexed by node name, and reached
+    // is the target node reached, if any. The graph itself is never modified.
+    function dijkstra( sourceNode, forEachNeighbor, targetNode, onProgress ) {
+        const ProgressInterval = 1000; // Number of nodes explored between calls to onProgress
+
+        var dist = {};
+        var prev = {};
+        var done = {};
+        var explored = 0;
+        var reached;
+        var q = new PriorityQueue();
+        var isTarget = typeof targetNode == "function" ? targetNode : function(name) { return name == targetNode; };
+
+        dist[ sourceNode ] = 0; // Distance of source node from itself
+        q.push( sourceNode, 0 );
+
+        while( ! q.isEmpty() ) {
+            let u = q.pop().name;
+
+            if( done[u] ) continue; // Already reached with a shorter path
+
+            done[u] = true;
+
+            if( isTarget(u) ) {
+                reached = u;
+                break;
             }
 
-            if( ! u ) {
-                return;
+            if( onProgress && ++explored % ProgressInterval == 0 ) {
+                onProgress( { explored: explored } );
             }
 
             // Scan neighbors v of u
-            for( let v in nodes[u].connectsTo ) {
-                let alt = u_dist + 1;
+            forEachNeighbor( u, function(v, cost) {
+                let alt = dist[u] + cost;
 
-                if( alt < nodes[v].dist ) {
-                    nodes[v].dist = alt;
-                    nodes[v].prev = u;
+                if( dist[v] === undefined || alt < dist[v] ) {
+                    dist[v] = alt;
+                    prev[v] = u;
+                    q.push( v, alt );
                 }
-            }
+            } );
+        }
 
-            delete q[u];
-            qlen--;
+        return {
+            dist: dist,
+            prev: prev,
+            reached: reached
         }
+    }
 
-        // Done
-        return nodes;
+    // Walks back the prev map of a search from the target node, returns the list of node names from source to target
+    function getSearchPath( search, targetNode ) {
+        var path = [targetNode];
+
+        while( search.prev[path[0]] !== undefined ) {
+            path.unshift( search.prev[path[0]] );
+        }
+
+        return path;
     }
 
-    var CastDuetGraphNodes = parseTopologySketch();
+    // Cells of the frame with a rounded corner, they must be known before the graph is built
+    const RoundedCornerCells = getFrame().filter( function(cell) { return cell.roundedCorner; } ).map( function(cell) { return getCellName(cell.col, cell.row); } );
+
+    var CastDuetGraphNodes = parseTopologySketch( TopologySketch );
 
     function parsePosition( positionAsString ) {
         if( positionAsString == "FREE" ) {
@@ -390,9 +666,14 @@ function initSolver() {
 
         var pos;
 
-        var posCheck = positionAsString.match(/^([UD])\(([0-4]),([0-4])\)-\(([0-4]),([0-4])\)$/);
+        var posCheck = positionAsString.match(/^([UD])\((\d+),(\d+)\)-\((\d+),(\d+)\)$/);
+
+        // Coordinates must be in the frame or in the cells just around it
+        function isInRange( col, row ) {
+            return parseInt(col) <= GridCols+1 && parseInt(row) <= GridRows+1;
+        }
 
-        if( posCheck ) {
+        if( posCheck && isInRange(posCheck[2],posCheck[3]) && isInRange(posCheck[4],posCheck[5]) ) {
             var tempPos = {
                 isFree: false,
                 pegPos: posCheck[1],
@@ -412,29 +693,970 @@ function initSolver() {
         return pos;
     }
 
-    function findSolution( startPosition, targetPosition ) {
-        var solution;
+    // Move types of the cost tables (see getCostFunction)
+    const CostTypes = [ "flip", "rotate", "slide", "free", "corner" ];
+
+    // Checks a cost model, returns an error result if it's not valid, i.e. if it's not a function or a table
+    // of non-negative numbers by move type
+    function checkCosts( costs ) {
+        if( costs === undefined || costs === null || typeof costs == "function" ) {
+            return;
+        }
+
+        if( typeof costs != "object" ) {
+            return getErrorResult( ErrorCodes.InvalidCosts, "The costs must be a table of costs by move type, or a function of the move", "costs" );
+        }
+
+        for( let type in costs ) {
+            if( CostTypes.indexOf(type) < 0 ) {
+                return getErrorResult( ErrorCodes.InvalidCosts, "Unknown move type " + type + ", the costs can be for " + CostTypes.join(", ") + " moves", "costs" );
+            }
+
+            if( !(typeof costs[type] == "number" && costs[type] >= 0 && isFinite(costs[type])) ) {
+                return getErrorResult( ErrorCodes.InvalidCosts, "Invalid cost for " + type + " moves: costs must be non-negative numbers", "costs" );
+            }
+        }
+    }
+
+    // Returns a function that computes the cost of a move (see getMoveCandidates) according to a cost model.
+    // The cost model is either a function of the move, or a table of costs by move type, e.g. { flip: 3, rotate: 1, slide: 2 },
+    // where the special "corner" entry is the cost of moves thru a dent of the rounded corner.
+    // Moves not listed in the table cost 1, and so does every move if there's no cost model at all.
+    // The cost model must have been checked already (see checkCosts).
+    function getCostFunction( costs ) {
+        if( typeof costs == "function" ) {
+            return costs;
+        }
+
+        costs = costs || {};
+
+        return function(move) {
+            if( move.corner && costs.corner !== undefined ) {
+                return costs.corner;
+            }
+
+            return costs[move.type] !== undefined ? costs[move.type] : 1;
+        }
+    }
+
+    function getGraphNeighborFunction( costFunction ) {
+        return function(name, callback) {
+            let connectsTo = CastDuetGraphNodes[name].connectsTo;
+
+            for( let v in connectsTo ) {
+                callback( v, costFunction(connectsTo[v]) );
+            }
+        }
+    }
+
+    var forEachGraphNeighbor = getGraphNeighborFunction( getCostFunction() );
+
+    // Results of complete searches on the half ring graph with the default costs, indexed by source node: there's at most
+    // one per node, and the distance table needs them all anyway.
+    var SearchCache = {};
+
+    // Results of complete searches with a cost table (indexed by source node and cost table) and on the joint graph
+    // (see searchJointGraph): any number of cost tables can be used, and a joint search has tens of thousands of nodes,
+    // so only the last few are kept. Searches with a cost function are not cached, as there's no way to tell if two
+    // functions are the same.
+    const MaxRecentSearches = 4;
+
+    var RecentSearches = new RecentCache( MaxRecentSearches );
+
+    function searchGraph( sourceNode, costs, onProgress ) {
+        if( typeof costs == "function" ) {
+            return dijkstra( sourceNode, getGraphNeighborFunction(getCostFunction(costs)), undefined, onProgress );
+        }
+
+        if( ! costs ) {
+            if( ! SearchCache[sourceNode] ) {
+                SearchCache[sourceNode] = dijkstra( sourceNode, forEachGraphNeighbor, undefined, onProgress );
+            }
+
+            return SearchCache[sourceNode];
+        }
+
+        let key = sourceNode + JSON.stringify(costs);
+        let search = RecentSearches.get(key);
+
+        if( ! search ) {
+            search = dijkstra( sourceNode, getGraphNeighborFunction(getCostFunction(costs)), undefined, onProgress );
+            RecentSearches.set( key, search );
+        }
+
+        return search;
+    }
+
+    // Returns the total cost of a sequence of positions, according to a cost model (see getCostFunction),
+    // or an error result (see findSolution) if the cost model is not valid
+    function getSolutionCost( positions, costs ) {
+        var costsError = checkCosts(costs);
+
+        if( costsError ) {
+            return costsError;
+        }
+
+        var costFunction = getCostFunction(costs);
+
+        return describeMoves( positions ).reduce( function(total, move) { return total + costFunction(move); }, 0 );
+    }
+
+    function getErrorResult( code, message, field ) {
+        return {
+            ok: false,
+            error: {
+                code: code,
+                message: message,
+                field: field
+            }
+        }
+    }
+
+    // Converts a half ring or joint position to the name used by the graph: spaces are removed, lowercase letters
+    // are accepted and every position entirely out of the frame becomes "FREE". This is the only notation understood
+    // by the other functions (and by the renderer), so user input should always go thru here.
+    // Returns { ok: true, position, isJoint } or { ok: false, error: { code, message } }.
+    function canonicalizePosition( position ) {
+        var text = String(position === undefined || position === null ? "" : position).replace(/\s+/g, "");
+        var parts = text.split(JointSeparator);
+        var names = [];
+
+        if( parts.length > 2 ) {
+            return getErrorResult( ErrorCodes.InvalidNotation, "A joint position must have exactly two halves separated by " + JointSeparator );
+        }
+
+        for( let i=0; i<parts.length; i++ ) {
+            let pos = parsePosition(parts[i].toUpperCase());
+
+            if( ! pos ) {
+                return getErrorResult( ErrorCodes.InvalidNotation, "\"" + parts[i] + "\" is not a valid position, use a notation like " + InitialHalfRingRight + " or " + FreeRingName );
+            }
+
+            let name = getPositionNodeName(pos);
+
+            if( ! CastDuetGraphNodes[name] ) {
+                return getErrorResult( ErrorCodes.UnknownPosition, "Position " + name + " is not part of the puzzle" );
+            }
+
+            names.push( name );
+        }
+
+        if( names.length == 2 ) {
+            let conflict = getJointConflict(names[0], names[1]);
+
+            if( conflict ) {
+                return getErrorResult( ErrorCodes.JointConflict, "The two halves can't be in these positions at the same time (" + conflict + ")" );
+            }
+        }
+
+        return {
+            ok: true,
+            position: names.join(JointSeparator),
+            isJoint: names.length == 2
+        }
+    }
+
+    // Canonicalizes the start and target positions of a solve, returns an error result if either is not valid
+    function canonicalizeSolveRequest( startPosition, targetPosition ) {
+        var start = canonicalizePosition(startPosition);
+        var target = canonicalizePosition(targetPosition);
+
+        if( ! start.ok ) {
+            return getErrorResult( start.error.code, start.error.message, "start" );
+        }
+
+        if( ! target.ok ) {
+            return getErrorResult( target.error.code, target.error.message, "target" );
+        }
+
+        if( start.isJoint != target.isJoint ) {
+            return getErrorResult( ErrorCodes.MixedPositions, "Both positions must be either half ring positions or joint positions", "target" );
+        }
+
+        return {
+            ok: true,
+            start: start.position,
+            target: target.position,
+            isJoint: start.isJoint
+        }
+    }
+
+    // Finds the cheapest solution, which is the one with the minimum number of moves unless a cost model is specified
+    // in the options, e.g. findSolution(start, goal, { costs: { flip: 3, rotate: 1, slide: 2 } }).
+    // Joint positions are solved with findJointSolution (costs are ignored in this case).
+    // The onProgress option is a function called every now and then during the search, with { explored }
+    // (the number of positions explored so far).
+    // The target can also be a set of positions, see findNearestSolution.
+    // Returns { ok: true, path, cost } or { ok: false, error: { code, message, field } }, where field is "start", "target"
+    // or "costs".
+    function findSolution( startPosition, targetPosition, options ) {
+        if( isGoalSet(targetPosition) ) {
+            return findNearestSolution( startPosition, targetPosition, options );
+        }
+
+        var request = canonicalizeSolveRequest( startPosition, targetPosition );
+
+        if( ! request.ok ) {
+            return request;
+        }
+
+        options = options || {};
+
+        var costsError = checkCosts(options.costs);
+
+        if( costsError ) {
+            return costsError;
+        }
+
+        if( request.isJoint ) {
+            return findJointSolution( request.start, request.target, options );
+        }
+
+        var search = searchGraph( request.start, options.costs, options.onProgress );
+
+        if( search.dist[request.target] === undefined ) {
+            return getErrorResult( ErrorCodes.Unreachable, "Position " + request.target + " can't be reached from " + request.start, "target" );
+        }
+
+        return {
+            ok: true,
+            path: getSearchPath( search, request.target ),
+            cost: search.dist[request.target]
+        }
+    }
+
+    // Goals can be sets of positions: either a predicate function or a pattern with wildcards, where "?" matches
+    // a peg on either side and "*" any coordinate, e.g. "?(2,2)-(*,*)" for every position with the peg in the
+    // center cell. Joint patterns can use wildcards in either half, e.g. "?(2,2)-(3,1)+?(2,2)-(3,1)".
+    function isGoalSet( goal ) {
+        return typeof goal == "function" || (typeof goal == "string" && /[?*]/.test(goal));
+    }
+
+    // Returns a function that checks if a half ring node matches a pattern (which may also be an exact position),
+    // or undefined if the pattern is not valid
+    function parseHalfRingPattern( pattern ) {
+        var match = pattern.toUpperCase().match(/^([UD?])\((\d+|\*),(\d+|\*)\)-\((\d+|\*),(\d+|\*)\)$/);
+
+        if( ! match ) {
+            let canonical = canonicalizePosition(pattern);
+
+            if( canonical.ok && ! canonical.isJoint ) {
+                return function(name) { return name == canonical.position; };
+            }
+
+            return;
+        }
+
+        function fits( value, actual ) {
+            return value == "?" || value == "*" || value == actual;
+        }
+
+        return function(name) {
+            if( name == FreeRingName ) {
+                return false;
+            }
+
+            let ring = CastDuetGraphNodes[name].ring;
+
+            return fits(match[1], ring.pegPos) && fits(match[2], ring.pegCol) && fits(match[3], ring.pegRow) &&
+                fits(match[4], ring.ringCol) && fits(match[5], ring.ringRow);
+        }
+    }
+
+    // Returns { ok: true, matches } where matches is a function of a node name (half ring or joint, as specified)
+    // that tells if the node is part of the goal, or an error result if the goal is not valid.
+    // Predicates are called with the node info (see getNodeInfo), or with { name, isJoint: true, left, right }
+    // for joint nodes, where left and right are the node info of the two halves.
+    function getGoalMatcher( goal, isJoint ) {
+        if( typeof goal == "function" ) {
+            return {
+                ok: true,
+                matches: function(name) {
+                    if( ! isJoint ) {
+                        return !! goal( getNodeInfo(name) );
+                    }
+
+                    let pair = name.split(JointSeparator);
+
+                    return !! goal( { name: name, isJoint: true, left: getNodeInfo(pair[0]), right: getNodeInfo(pair[1]) } );
+                }
+            }
+        }
+
+        var parts = String(goal).replace(/\s+/g, "").split(JointSeparator);
+
+        if( (parts.length == 2) != isJoint ) {
+            return getErrorResult( ErrorCodes.MixedPositions, "Both positions must be either half ring positions or joint positions", "target" );
+        }
+
+        var matchers = parts.map( parseHalfRingPattern );
+        var nodeNames = getNodeNames();
+
+        for( let i=0; i<parts.length; i++ ) {
+            if( ! matchers[i] ) {
+                return getErrorResult( ErrorCodes.InvalidNotation, "\"" + parts[i] + "\" is not a valid goal, use a position or a pattern like ?(2,2)-(*,*)", "target" );
+            }
+
+            if( ! nodeNames.some( matchers[i] ) ) {
+                return getErrorResult( ErrorCodes.UnknownPosition, "No position of the puzzle matches " + parts[i], "target" );
+            }
+        }
+
+        return {
+            ok: true,
+            matches: function(name) {
+                let pair = name.split(JointSeparator);
+
+                return pair.every( function(node, i) { return matchers[i](node); } );
+            }
+        }
+    }
+
+    // Finds the cheapest solution to the nearest position of a goal set (see isGoalSet), with the same options
+    // of findSolution. Ties are broken by the order of the nodes in the graph (half rings) or the search order (joint).
+    // Returns { ok: true, path, cost, target } where target is the goal position reached, or an error result.
+    function findNearestSolution( startPosition, goal, options ) {
+        var start = canonicalizePosition(startPosition);
+
+        if( ! start.ok ) {
+            return getErrorResult( start.error.code, start.error.message, "start" );
+        }
+
+        var goalMatcher = getGoalMatcher( goal, start.isJoint );
+
+        if( ! goalMatcher.ok ) {
+            return goalMatcher;
+        }
+
+        options = options || {};
+
+        var costsError = checkCosts(options.costs);
+
+        if( costsError ) {
+            return costsError;
+        }
+
+        var search;
+        var target;
+
+        if( start.isJoint ) {
+            search = dijkstra( start.position, forEachJointNeighbor, goalMatcher.matches, options.onProgress );
+            target = search.reached;
+        }
+        else {
+            search = searchGraph( start.position, options.costs, options.onProgress );
+
+            getNodeNames().forEach( function(name) {
+                if( search.dist[name] !== undefined && (target === undefined || search.dist[name] < search.dist[target]) && goalMatcher.matches(name) ) {
+                    target = name;
+                }
+            } );
+        }
+
+        if( target === undefined ) {
+            return getErrorResult( ErrorCodes.Unreachable, "No position matching the goal can be reached from " + start.position, "target" );
+        }
+
+        return {
+            ok: true,
+            path: getSearchPath( search, target ),
+            cost: search.dist[target],
+            target: target
+        }
+    }
+
+    // Returns the name of the graph node for a half ring position, or undefined if the position is not valid
+    function getGraphNodeName( position ) {
+        var canonical = canonicalizePosition(position);
+
+        if( canonical.ok && ! canonical.isJoint ) {
+            return canonical.position;
+        }
+    }
+
+    // Returns all the solutions with the minimum number of moves, up to the specified limit (100 by default).
+    // The paths are enumerated walking from the start only thru nodes that are on a shortest path, i.e. nodes whose distance
+    // from the start plus distance to the target is equal to the length of the shortest solution.
+    // Joint positions work too, but they need a complete search of the joint graph from both positions.
+    // Returns { ok: true, solutions } or an error result (see findSolution).
+    function findAllShortestSolutions( startPosition, targetPosition, limit ) {
+        var request = canonicalizeSolveRequest( startPosition, targetPosition );
+
+        if( ! request.ok ) {
+            return request;
+        }
+
+        var start = request.start;
+        var target = request.target;
+        var search = request.isJoint ? searchJointGraph : searchGraph;
+        var forEachNeighbor = request.isJoint ? forEachJointNeighbor : forEachGraphNeighbor;
+        var fromStart = search(start).dist;
+        var toTarget = search(target).dist;
+        var length = fromStart[target];
+        var solutions = [];
+
+        if( length === undefined ) {
+            return getErrorResult( ErrorCodes.Unreachable, "Position " + target + " can't be reached from " + start, "target" );
+        }
+
+        limit = limit || 100;
+
+        function walk( path ) {
+            let u = path[path.length-1];
+
+            if( u == target ) {
+                solutions.push( path.slice() );
+                return;
+            }
+
+            forEachNeighbor( u, function(v) {
+                if( solutions.length >= limit ) return;
+
+                if( fromStart[v] == fromStart[u] + 1 && fromStart[v] + toTarget[v] == length ) {
+                    path.push( v );
+                    walk( path );
+                    path.pop();
+                }
+            } );
+        }
+
+        walk( [start] );
+
+        return { ok: true, solutions: solutions };
+    }
+
+    // Returns the k shortest solutions (without loops), sorted by length or by cost if a cost model is specified
+    // in the options (see findSolution), using Yen's algorithm. The onProgress option is called with { solutions, k }
+    // after each solution is found. Joint positions work too, just like findSolution they ignore the costs, but each
+    // solution takes seconds to find as every spur search explores a large part of the joint graph.
+    // Returns { ok: true, solutions } or an error result (see findSolution).
+    // See https://en.wikipedia.org/wiki/Yen's_algorithm
+    function findKShortestSolutions( startPosition, targetPosition, k, options ) {
+        var request = canonicalizeSolveRequest( startPosition, targetPosition );
+
+        if( ! request.ok ) {
+            return request;
+        }
+
+        options = options || {};
+
+        var costsError = checkCosts(options.costs);
+
+        if( costsError ) {
+            return costsError;
+        }
+
+        var start = request.start;
+        var target = request.target;
+        var costs = request.isJoint ? undefined : options.costs;
+        var forEachNeighbor = request.isJoint ? forEachJointNeighbor : costs ? getGraphNeighborFunction(getCostFunction(costs)) : forEachGraphNeighbor;
+        var first = request.isJoint ? dijkstra(start, forEachNeighbor, target) : searchGraph(start, costs);
+
+        if( first.dist[target] === undefined ) {
+            return getErrorResult( ErrorCodes.Unreachable, "Position " + target + " can't be reached from " + start, "target" );
+        }
+
+        var solutions = [ getSearchPath(first, target) ];
+        var candidates = []; // Potential solutions not yet selected, as { path, cost }
+        var known = {}; // Names of all paths found so far, to avoid duplicates
+
+        known[ solutions[0].join(" ") ] = true;
+
+        while( solutions.length < k ) {
+            if( options.onProgress ) {
+                options.onProgress( { solutions: solutions.length, k: k } );
+            }
+
+            let last = solutions[solutions.length-1];
+
+            // Each node of the last solution (except the target) is used in turn as the "spur" node, where the new path
+            // diverges from the previous ones
+            for( let i=0; i<last.length-1; i++ ) {
+                let root = last.slice(0, i+1);
+                let spur = last[i];
+                let removedEdges = {};
+                let removedNodes = {};
+
+                // Remove the edges used by previous solutions that share the same root
+                solutions.forEach( function(path) {
+                    if( path.length > i && path.slice(0, i+1).join(" ") == root.join(" ") ) {
+                        removedEdges[ path[i+1] ] = true;
+                    }
+                } );
+
+                // Remove the root nodes, so that the new path has no loops
+                root.slice(0, -1).forEach( function(n) { removedNodes[n] = true; } );
+
+                let search = dijkstra( spur, function(u, callback) {
+                    forEachNeighbor( u, function(v, cost) {
+                        if( removedNodes[v] || (u == spur && removedEdges[v]) ) return;
+
+                        callback( v, cost );
+                    } );
+                }, target );
+
+                if( search.dist[target] !== undefined ) {
+                    let path = root.slice(0, -1).concat( getSearchPath(search, target) );
+                    let name = path.join(" ");
+
+                    if( ! known[name] ) {
+                        known[name] = true;
+                        candidates.push( { path: path, cost: getSolutionCost(path, costs) } );
+                    }
+                }
+            }
+
+            if( candidates.length == 0 ) {
+                break;
+            }
+
+            candidates.sort( function(a, b) { return a.cost - b.cost; } );
+            solutions.push( candidates.shift().path );
+        }
+
+        return { ok: true, solutions: solutions };
+    }
+
+    // Returns a map with the distance (number of moves) of every reachable node from the specified position.
+    // Moves are always reversible, so this is also the distance from every node to the position.
+    // Maps are cached (see searchGraph), the returned object is a copy that can be freely modified.
+    // Joint positions work too, but their maps are much bigger (tens of thousands of joint positions) and only
+    // the most recent are kept.
+    function getDistances( position ) {
+        var canonical = canonicalizePosition(position);
+
+        if( ! canonical.ok ) {
+            return;
+        }
+
+        return Object.assign( {}, canonical.isJoint ? searchJointGraph(canonical.position).dist : searchGraph(canonical.position).dist );
+    }
+
+    // Returns the distance between two positions, or undefined if the target can't be reached
+    function getDistance( startPosition, targetPosition ) {
+        var distances = getDistances(startPosition);
+        var target = canonicalizePosition(targetPosition);
+
+        if( distances && target.ok ) {
+            return distances[ target.position ];
+        }
+    }
+
+    // Returns the names of all the nodes in the graph
+    function getNodeNames() {
+        return Object.keys( CastDuetGraphNodes );
+    }
+
+    // Describes the frame built from the topology sketch, for renderers: one entry per cell inside the frame with
+    // its dents (see getCellDents), its borders (see getCellBorders) and the rounded corner if any
+    // ("tl", "tr", "bl" or "br", i.e. the corner between the two rounded borders)
+    function getFrame() {
+        var cells = [];
+
+        for( let row=1; row<=GridRows; row++ ) {
+            for( let col=1; col<=GridCols; col++ ) {
+                let borders = getCellBorders( TopologySketch, col, row );
+                let vertical = borders.top == "rounded" ? "t" : borders.bottom == "rounded" ? "b" : "";
+                let horizontal = borders.left == "rounded" ? "l" : borders.right == "rounded" ? "r" : "";
+
+                cells.push( {
+                    col: col,
+                    row: row,
+                    dents: getCellDents( TopologySketch, col, row ),
+                    borders: borders,
+                    roundedCorner: vertical && horizontal ? vertical + horizontal : undefined
+                } );
+            }
+        }
+
+        return cells;
+    }
+
+    // Returns the ring information of a position: peg side, peg and ring cells and orientation (see generateAllRingsForCell)
+    function getNodeInfo( position ) {
+        var node = getGraphNodeName(position);
+
+        if( ! node ) {
+            return;
+        }
+
+        if( node == FreeRingName ) {
+            return { name: node, isFree: true };
+        }
+
+        var ring = CastDuetGraphNodes[node].ring;
+
+        return {
+            name: node,
+            isFree: false,
+            pegPos: ring.pegPos,
+            pegCol: ring.pegCol,
+            pegRow: ring.pegRow,
+            ringCol: ring.ringCol,
+            ringRow: ring.ringRow,
+            rotation: ring.rotation
+        }
+    }
+
+    // Returns the legal moves from a position, as a map of move descriptions (see getMoveCandidates) indexed by target node.
+    // For joint positions the map is indexed by the joint position reached, and moves tell the half moved ("left" or "right").
+    function getMoves( position ) {
+        var node = getGraphNodeName(position);
+        var joint = parseJointPosition(position);
+        var moves = {};
+
+        if( joint ) {
+            for( let n in CastDuetGraphNodes[joint.left].connectsTo ) {
+                if( ! getJointConflict(n, joint.right) ) moves[getJointName(n, joint.right)] = Object.assign( { half: "left" }, CastDuetGraphNodes[joint.left].connectsTo[n] );
+            }
+
+            for( let n in CastDuetGraphNodes[joint.right].connectsTo ) {
+                if( ! getJointConflict(joint.left, n) ) moves[getJointName(joint.left, n)] = Object.assign( { half: "right" }, CastDuetGraphNodes[joint.right].connectsTo[n] );
+            }
+
+            return moves;
+        }
+
+        if( ! node ) {
+            return;
+        }
+
+        for( let v in CastDuetGraphNodes[node].connectsTo ) {
+            moves[v] = Object.assign( {}, CastDuetGraphNodes[node].connectsTo[v] );
+        }
+
+        return moves;
+    }
+
+    // Returns the all-pairs distance table, as a map of distance maps indexed by source node
+    function getDistanceTable() {
+        var table = {};
+
+        for( let n in CastDuetGraphNodes ) {
+            table[n] = getDistances(n);
+        }
+
+        return table;
+    }
+
+    // Explains why there is no legal move between two nodes
+    function getIllegalMoveReason( fromNode, toNode ) {
+        var ring = CastDuetGraphNodes[fromNode].ring;
+
+        if( fromNode != FreeRingName ) {
+            let candidates = getMoveCandidates( ring, TopologySketch ).filter( function(candidate) { return candidate.target == toNode; } );
+
+            if( candidates.length > 0 ) {
+                let candidate = candidates[0];
+
+                return (candidate.move.type == "slide" ? "slide" : "rotation") + " from case " + ring.rotation + " (" + RotationNames[ring.rotation] + ")" +
+                    " requires dent " + candidate.move.dentName + " of cell " + getCellName(ring.pegCol, ring.pegRow) +
+                    " with " + (ring.pegPos == PegPosUp ? "D/B" : "H/B") + ", found " + (candidate.dent || "none");
+            }
+        }
+
+        return "not adjacent";
+    }
+
+    // Checks a sequence of positions (half ring or joint positions, in any notation accepted by canonicalizePosition),
+    // where each position must be reachable from the previous one with a legal move: a position repeated right after
+    // itself is not a move, so it's not legal either.
+    // Returns { valid: true } if the whole sequence is legal, otherwise the index of the first wrong step and the reason,
+    // e.g. { valid: false, step: 3, reason: "not adjacent" }.
+    function validateSequence( positions ) {
+        var prevNode;
+
+        for( let i=0; i<positions.length; i++ ) {
+            let canonical = typeof positions[i] == "string" ? canonicalizePosition(positions[i]) : getErrorResult( ErrorCodes.InvalidNotation );
+
+            if( ! canonical.ok ) {
+                return { valid: false, step: i, reason: getInvalidPositionReason(canonical.error) };
+            }
+
+            let node = canonical.position;
+
+            if( i > 0 ) {
+                let reason = node == prevNode ? "same position as the previous step" : getIllegalStepReason( prevNode, node );
+
+                if( reason ) {
+                    return { valid: false, step: i, reason: reason };
+                }
+            }
+
+            prevNode = node;
+        }
+
+        return { valid: true };
+    }
+
+    // Returns the reason of an invalid position in a sequence (see validateSequence)
+    function getInvalidPositionReason( error ) {
+        switch( error.code ) {
+        case ErrorCodes.InvalidNotation:
+            return "invalid notation";
+        case ErrorCodes.UnknownPosition:
+            return "not part of the puzzle";
+        default:
+            return error.message.charAt(0).toLowerCase() + error.message.slice(1);
+        }
+    }
+
+    // Returns the reason why a step between two different positions (both half ring or both joint) is not a legal move,
+    // or undefined if it is
+    function getIllegalStepReason( fromNode, toNode ) {
+        var from = fromNode.split(JointSeparator);
+        var to = toNode.split(JointSeparator);
+
+        if( from.length != to.length ) {
+            return "half ring and joint positions can't be mixed";
+        }
+
+        if( from.length == 1 ) {
+            return CastDuetGraphNodes[fromNode].connectsTo[toNode] ? undefined : getIllegalMoveReason(fromNode, toNode);
+        }
+
+        if( from[0] != to[0] && from[1] != to[1] ) {
+            return "both halves moved";
+        }
+
+        // The new position has no conflicts (see canonicalizePosition), so the step is legal if the moved half is
+        var half = from[0] != to[0] ? 0 : 1;
+
+        if( ! CastDuetGraphNodes[from[half]].connectsTo[to[half]] ) {
+            return (half == 0 ? "left" : "right") + " half: " + getIllegalMoveReason(from[half], to[half]);
+        }
+    }
+
+    // Returns a plain English sentence for a move (see getMoveCandidates)
+    function getMoveSentence( move, toNode ) {
+        const DentNames = {
+            tl: "top-left", tr: "top-right", bl: "bottom-left", br: "bottom-right",
+            lt: "left-top", lb: "left-bottom", rt: "right-top", rb: "right-bottom"
+        }
+        const DirectionNames = { cw: "clockwise", ccw: "counter-clockwise" };
+
+        function getDentDescription() {
+            return " through the " + DentNames[move.dentName] + " dent of cell " + getCellName(move.dentCell.col, move.dentCell.row) + " on the " + move.side + " side";
+        }
+
+        switch( move.type ) {
+        case "rotate":
+            return "Rotate the ring " + move.angle + "° " + DirectionNames[move.direction] + getDentDescription();
+        case "slide":
+            return "Slide the ring " + move.direction + getDentDescription();
+        case "free":
+            return "Rotate the ring " + move.angle + "° " + DirectionNames[move.direction] + " around the peg, outside the frame";
+        case "flip":
+            return toNode == FreeRingName ? "Turn the ring 180° to take it out of the frame" : "Turn the ring 180°, with the peg now on the " + (toNode[0] == PegPosUp ? "DUET" : "Hanayama") + " side";
+        }
+    }
+
+    // Describes the moves of a solution (or of any legal sequence of positions, including joint positions, in any notation
+    // accepted by canonicalizePosition, see validateSequence).
+    // Returns one object per move, with the positions before and after the move, the move description (see getMoveCandidates)
+    // and a plain English sentence; for joint positions the moved half is reported as "left" or "right".
+    // The optional mapMove function can change a move before the sentence is written, e.g. to describe it as seen
+    // with the puzzle in a different orientation (see orientation.js).
+    function describeMoves( positions, mapMove ) {
+        var moves = [];
+        var names = positions.map( function(position) { return canonicalizePosition(position).position; } );
+
+        for( let i=1; i<positions.length; i++ ) {
+            let from = names[i-1].split(JointSeparator);
+            let to = names[i].split(JointSeparator);
+            let half = from.length == 2 ? (from[0] != to[0] ? 0 : 1) : 0;
+            let fromNode = from[half];
+            let toNode = to[half];
+            let move = Object.assign( { from: positions[i-1], to: positions[i] }, CastDuetGraphNodes[fromNode].connectsTo[toNode] );
+
+            if( mapMove ) {
+                move = mapMove( move );
+            }
+
+            move.description = getMoveSentence( move, toNode );
+
+            if( from.length == 2 ) {
+                move.half = half == 0 ? "left" : "right";
+                move.description = (half == 0 ? "Left" : "Right") + " half: " + move.description.charAt(0).toLowerCase() + move.description.slice(1);
+            }
+
+            moves.push( move );
+        }
+
+        return moves;
+    }
+
+    // Returns the name of the graph node for a parsed position, positions entirely out of the frame are all "FREE"
+    function getPositionNodeName( pos ) {
+        return pos.isFree ? FreeRingName : getNodeName(pos.pegPos, pos.pegCol, pos.pegRow, pos.ringCol, pos.ringRow);
+    }
+
+    function getJointName( leftNodeName, rightNodeName ) {
+        return leftNodeName + JointSeparator + rightNodeName;
+    }
+
+    // Checks if the two half rings can be in the specified positions at the same time.
+    // This is a simplified model of the physical interference between the halves:
+    // - the solid parts of the halves can't be in the same cell, unless they have the same peg cell and ring cell
+    //   and the pegs are on opposite sides: in that case the gaps are aligned and the halves are interlocked
+    //   (that's how the assembled ring looks like). Only a flip brings a half in there, so on the frame the other half
+    //   often has to make way first;
+    // - two pegs on the same side of the same cell block each other's dents, so the pair is not allowed.
+    // Returns undefined if the pair is allowed, otherwise a string describing the conflict.
+    function getJointConflict( leftNodeName, rightNodeName ) {
+        if( leftNodeName == FreeRingName || rightNodeName == FreeRingName ) {
+            return; // A free half ring doesn't interfere with anything
+        }
+
+        let a = CastDuetGraphNodes[leftNodeName].ring;
+        let b = CastDuetGraphNodes[rightNodeName].ring;
+
+        let samePeg = a.pegCol == b.pegCol && a.pegRow == b.pegRow;
+        let sameRing = a.ringCol == b.ringCol && a.ringRow == b.ringRow;
+
+        if( sameRing ) {
+            return samePeg && a.pegPos != b.pegPos ? undefined : "collision";
+        }
+
+        if( samePeg && a.pegPos == b.pegPos && ! isCellFree(a.pegCol,a.pegRow) ) {
+            return "blocked dent";
+        }
+    }
+
+    // Splits a half ring or joint position into the canonical positions of its halves, returns undefined if any of
+    // the halves is not valid. Unlike canonicalizePosition the halves of a joint position may conflict, so that
+    // renderers can show the conflict.
+    function getPositionHalves( position ) {
+        var halves = [];
+        var parts = String(position).split(JointSeparator);
+
+        for( let i=0; i<parts.length; i++ ) {
+            let canonical = canonicalizePosition( parts[i] );
+
+            if( ! canonical.ok || canonical.isJoint ) {
+                return;
+            }
+
+            halves.push( canonical.position );
+        }
+
+        return halves;
+    }
+
+    // Parses a joint position in the form "left+right", where both parts use the half ring notation.
+    // Returns the names of the graph nodes for the two halves, or undefined if the position is not valid.
+    function parseJointPosition( positionAsString ) {
+        var canonical = canonicalizePosition(positionAsString);
 
-        if( parsePosition(startPosition) && parsePosition(targetPosition) ) {
-            dijkstra( CastDuetGraphNodes, startPosition );
+        if( canonical.ok && canonical.isJoint ) {
+            let parts = canonical.position.split(JointSeparator);
 
-            var node = CastDuetGraphNodes[targetPosition];
-            solution = [targetPosition];
-            while( node.prev ) {
-                solution.unshift(node.prev);
-                node = CastDuetGraphNodes[node.prev];
+            return {
+                left: parts[0],
+                right: parts[1]
             }
         }
+    }
+
+    // Neighbours in the joint graph, see dijkstra
+    function forEachJointNeighbor( name, callback ) {
+        let pair = name.split(JointSeparator);
+
+        // Move the left half, then the right half
+        for( let n in CastDuetGraphNodes[pair[0]].connectsTo ) {
+            if( ! getJointConflict(n, pair[1]) ) callback( getJointName(n, pair[1]), 1 );
+        }
+
+        for( let n in CastDuetGraphNodes[pair[1]].connectsTo ) {
+            if( ! getJointConflict(pair[0], n) ) callback( getJointName(pair[0], n), 1 );
+        }
+    }
+
+    // Complete searches on the joint graph, only the most recent are cached (see searchGraph)
+    function searchJointGraph( sourceNode ) {
+        var search = RecentSearches.get(sourceNode);
+
+        if( ! search ) {
+            search = dijkstra( sourceNode, forEachJointNeighbor );
+            RecentSearches.set( sourceNode, search );
+        }
+
+        return search;
+    }
+
+    // Solves both half rings at once. Nodes of the joint graph are pairs of half ring positions, and a move
+    // is a legal move of one half that doesn't bring the pair into conflict (see getJointConflict).
+    // The joint graph is too large to be built in advance, so it's explored on the fly.
+    // Returns a result object just like findSolution, where the cost is the number of moves.
+    // The only option is onProgress (see findSolution).
+    function findJointSolution( startPosition, targetPosition, options ) {
+        var request = canonicalizeSolveRequest( startPosition, targetPosition );
+
+        if( request.ok && ! request.isJoint ) {
+            request = getErrorResult( ErrorCodes.MixedPositions, "Both positions must be joint positions", "start" );
+        }
+
+        if( ! request.ok ) {
+            return request;
+        }
+
+        var startName = request.start;
+        var targetName = request.target;
 
-        return solution;
+        var search = dijkstra( startName, forEachJointNeighbor, targetName, (options || {}).onProgress );
+
+        if( search.dist[targetName] === undefined ) {
+            return getErrorResult( ErrorCodes.Unreachable, "Position " + targetName + " can't be reached from " + startName, "target" );
+        }
+
+        return {
+            ok: true,
+            path: getSearchPath( search, targetName ),
+            cost: search.dist[targetName]
+        }
     }
 
     return {
-        InitialHalfRingRight: "U(3,1)-(4,1)",
-        InitialHalfRingLeft:  "D(3,1)-(3,0)",
+        InitialHalfRingRight: InitialHalfRingRight,
+        InitialHalfRingLeft:  InitialHalfRingLeft,
         FreeHalfRing: FreeRingName,
+        JointSeparator: JointSeparator,
+        ErrorCodes: ErrorCodes,
+        TopologySketch: TopologySketch,
+        DentPlaces: DentPlaces,
+        Neighbours: Neighbours,
+        RotationNames: RotationNames,
+        GridCols: GridCols,
+        GridRows: GridRows,
 
         parsePosition: parsePosition,
-        findSolution: findSolution
+        canonicalizePosition: canonicalizePosition,
+        getPositionHalves: getPositionHalves,
+        findSolution: findSolution,
+        findNearestSolution: findNearestSolution,
+        findAllShortestSolutions: findAllShortestSolutions,
+        findKShortestSolutions: findKShortestSolutions,
+        getSolutionCost: getSolutionCost,
+        checkCosts: checkCosts,
+
+        getDistances: getDistances,
+        getDistance: getDistance,
+        getDistanceTable: getDistanceTable,
+
+        getNodeNames: getNodeNames,
+        getNodeInfo: getNodeInfo,
+        getFrame: getFrame,
+        getMoves: getMoves,
+
+        validateSequence: validateSequence,
+        describeMoves: describeMoves,
+
+        parseJointPosition: parseJointPosition,
+        getJointConflict: getJointConflict,
+        findJointSolution: findJointSolution
     }
+}
+
+if( typeof module !== "undefined" ) {
+    module.exports = initSolver;
 }
\ No newline at end of file
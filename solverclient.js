@@ -0,0 +1,212 @@
+/*
+    Promise based access to the Cast Duet solver, running in a Web Worker (see solverworker.js) so that long searches
+    (e.g. joint positions or large custom frames) don't block the page.
+
+        var client = initSolverClient();
+
+        client.solve( "D(3,1)-(4,0)", "FREE", { alternatives: 10, onProgress: function(progress) { ... } } )
+            .then( function(result) { ... } );
+
+        client.cancel();
+
+    The result is the same of solver.findSolution (the target can be a goal pattern too), plus the alternatives: the k shortest solutions for half ring
+    positions (see solver.findKShortestSolutions), or just the solution itself for joint positions.
+    Progress is reported as { explored } during a search and { solutions, k } while looking for alternatives.
+    A cancelled solve is rejected with an error whose cancelled property is true, and a solve that fails (in the worker
+    or on the page) is rejected with the error.
+
+    Where workers are not available (e.g. for pages opened from the file system in some browsers) the solver runs
+    on the page, with the same API.
+*/
+function initSolverClient( options ) {
+    options = options || {};
+
+    const WorkerUrl = options.workerUrl || "solverworker.js";
+
+    var worker; // Created on demand, and replaced after a cancel
+    var workerReady = false; // The scripts of the current worker were loaded
+    var useWorker = typeof Worker !== "undefined";
+    var localSolver;
+    var nextId = 1;
+    var job; // The solve in progress, as { id, request, resolve, reject, onProgress }
+
+    function createWorker() {
+        workerReady = false;
+
+        try {
+            worker = new Worker( WorkerUrl );
+        }
+        catch( e ) {
+            useWorker = false;
+            return;
+        }
+
+        worker.onmessage = function(event) {
+            var message = event.data;
+
+            if( message.type == "ready" ) {
+                workerReady = true;
+                return;
+            }
+
+            if( ! job || message.id != job.id ) {
+                return; // Message from a job that was cancelled
+            }
+
+            if( message.type == "progress" ) {
+                if( job.onProgress ) job.onProgress( message.progress );
+            }
+            else if( message.type == "error" ) {
+                fail( new Error(message.message) );
+            }
+            else {
+                finish( message.result );
+            }
+        }
+
+        // If the worker scripts couldn't be loaded fall back to the page, otherwise something went wrong in the worker
+        // outside of a solve (see solverworker.js) and the solve in progress fails
+        worker.onerror = function(event) {
+            event.preventDefault();
+
+            worker.terminate();
+            worker = undefined;
+
+            if( ! workerReady ) {
+                useWorker = false;
+
+                if( job ) runLocally( job );
+            }
+            else if( job ) {
+                fail( new Error(event.message || "The solver worker failed") );
+            }
+        }
+    }
+
+    function finish( result ) {
+        var resolve = job.resolve;
+
+        job = undefined;
+        resolve( result );
+    }
+
+    function fail( error ) {
+        var reject = job.reject;
+
+        job = undefined;
+        reject( error );
+    }
+
+    function runLocally( current ) {
+        setTimeout( function() {
+            if( job != current ) {
+                return; // Cancelled before starting
+            }
+
+            var result;
+
+            try {
+                localSolver = localSolver || initSolver( options.solver );
+                result = solveRequest( localSolver, current.request, current.onProgress );
+            }
+            catch( e ) {
+                fail( e );
+                return;
+            }
+
+            finish( result );
+        }, 0 );
+    }
+
+    // Solves from start to target, the options are the costs (see solver.findSolution), the number of alternatives
+    // to look for (1 by default) and the onProgress callback. A new solve cancels the one in progress, if any.
+    function solve( start, target, solveOptions ) {
+        solveOptions = solveOptions || {};
+
+        cancel();
+
+        return new Promise( function(resolve, reject) {
+            job = {
+                id: nextId++,
+                request: {
+                    start: start,
+                    target: target,
+                    costs: solveOptions.costs,
+                    alternatives: solveOptions.alternatives || 1,
+                    solver: options.solver
+                },
+                resolve: resolve,
+                reject: reject,
+                onProgress: solveOptions.onProgress
+            }
+
+            // Goal predicates (see solver.findNearestSolution) can't be sent to the worker
+            var inWorker = typeof target != "function";
+
+            if( inWorker && useWorker && ! worker ) {
+                createWorker();
+            }
+
+            if( inWorker && worker ) {
+                worker.postMessage( { id: job.id, request: job.request } );
+            }
+            else {
+                runLocally( job );
+            }
+        } );
+    }
+
+    // Stops the solve in progress, if any. The worker can't be interrupted in the middle of a search,
+    // so it's terminated and a new one is created for the next solve.
+    function cancel() {
+        if( ! job ) {
+            return;
+        }
+
+        var reject = job.reject;
+        var error = new Error("The solve was cancelled");
+        error.cancelled = true;
+
+        job = undefined;
+
+        if( worker ) {
+            worker.terminate();
+            worker = undefined;
+        }
+
+        reject( error );
+    }
+
+    return {
+        solve: solve,
+        cancel: cancel,
+        isSolving: function() {
+            return job !== undefined;
+        }
+    }
+}
+
+// Runs a solve request, in the worker or on the page: { start, target, costs, alternatives }
+function solveRequest( solver, request, onProgress ) {
+    var result = solver.findSolution( request.start, request.target, { costs: request.costs, onProgress: onProgress } );
+
+    if( ! result.ok ) {
+        return result;
+    }
+
+    var start = result.path[0];
+    var target = result.path[result.path.length-1];
+
+    if( request.alternatives > 1 && start.indexOf(solver.JointSeparator) < 0 ) {
+        result.alternatives = solver.findKShortestSolutions( start, target, request.alternatives, { costs: request.costs, onProgress: onProgress } ).solutions;
+    }
+    else {
+        result.alternatives = [ result.path ];
+    }
+
+    return result;
+}
+
+if( typeof module !== "undefined" ) {
+    module.exports = { initSolverClient: initSolverClient, solveRequest: solveRequest };
+}
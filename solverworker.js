@@ -0,0 +1,33 @@
+/*
+    Web Worker running the Cast Duet solver, see solverclient.js for the API used by the page.
+
+    Sends a { type: "ready" } message once the scripts are loaded, then receives { id, request } messages (see solveRequest)
+    and answers with { id, type: "progress", progress } messages during the search and a final { id, type: "result", result }
+    message. A solve that fails (e.g. an invalid frame sketch) gets a final { id, type: "error", message } message instead.
+*/
+importScripts( "solver.js", "solverclient.js" );
+
+var solvers = {}; // Solvers by options (i.e. the frame sketch), building the graph takes a while
+
+onmessage = function(event) {
+    var id = event.data.id;
+    var request = event.data.request;
+    var key = JSON.stringify( request.solver || {} );
+    var result;
+
+    try {
+        solvers[key] = solvers[key] || initSolver( request.solver );
+
+        result = solveRequest( solvers[key], request, function(progress) {
+            postMessage( { id: id, type: "progress", progress: progress } );
+        } );
+    }
+    catch( e ) {
+        postMessage( { id: id, type: "error", message: e.message } );
+        return;
+    }
+
+    postMessage( { id: id, type: "result", result: result } );
+}
+
+postMessage( { type: "ready" } );
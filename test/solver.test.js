@@ -0,0 +1,49 @@
+/*
+    Tests of the Cast Duet solver, run with "npm test" (node --test, Node 18 or later).
+*/
+const test = require("node:test");
+const assert = require("node:assert");
+
+const initSolver = require("../solver.js");
+const initOrientation = require("../orientation.js");
+
+const solver = initSolver();
+
+test( "validateSequence accepts positions in any notation, and describeMoves and getSolutionCost handle them", function() {
+    var sequence = [ "U(1,1)-(0,1)", "free" ];
+
+    assert.deepStrictEqual( solver.validateSequence( sequence ), { valid: true } );
+    assert.strictEqual( solver.describeMoves( sequence ).length, 1 );
+    assert.strictEqual( solver.describeMoves( sequence )[0].to, "free" );
+    assert.strictEqual( solver.getSolutionCost( sequence ), 1 );
+
+    var oriented = initOrientation( solver, "hanayama-90" );
+    var orientedSequence = [ oriented.fromCanonical( "U(1,1)-(0,1)" ), "free" ];
+
+    assert.deepStrictEqual( oriented.validateSequence( orientedSequence ), { valid: true } );
+    assert.strictEqual( oriented.describeMoves( orientedSequence ).length, 1 );
+} );
+
+test( "validateSequence rejects a position repeated right after itself", function() {
+    var path = solver.findJointSolution( "D(3,1)-(4,0)+U(3,1)-(4,0)", "FREE+FREE" ).path;
+
+    assert.deepStrictEqual( solver.validateSequence( [ path[0], path[0], path[1] ] ), { valid: false, step: 1, reason: "same position as the previous step" } );
+    assert.deepStrictEqual( solver.validateSequence( [ "u(3,1)-(4,0)", "U(3,1)-(4,0)" ] ), { valid: false, step: 1, reason: "same position as the previous step" } );
+    assert.ok( solver.describeMoves( [ path[0].toLowerCase(), path[1] ] )[0].description );
+} );
+
+test( "the solid parts of the two halves can't be in the same cell, unless the halves are interlocked", function() {
+    assert.strictEqual( solver.canonicalizePosition( "D(4,3)-(3,2)+D(2,2)-(3,2)" ).error.code, solver.ErrorCodes.JointConflict );
+    assert.strictEqual( solver.canonicalizePosition( "D(3,2)-(3,1)+U(2,2)-(3,1)" ).error.code, solver.ErrorCodes.JointConflict );
+    assert.ok( solver.canonicalizePosition( "D(2,2)-(3,1)+U(2,2)-(3,1)" ).ok );
+} );
+
+test( "placing both halves in the 4 dots position takes more moves than placing each half alone", function() {
+    var left = solver.findSolution( "D(3,1)-(4,0)", "D(2,2)-(3,1)" );
+    var right = solver.findSolution( "U(3,1)-(4,0)", "U(2,2)-(3,1)" );
+    var joint = solver.findJointSolution( "D(3,1)-(4,0)+U(3,1)-(4,0)", "D(2,2)-(3,1)+U(2,2)-(3,1)" );
+
+    assert.ok( joint.ok );
+    assert.ok( joint.cost > left.cost + right.cost, "one half has to make way for the other" );
+    assert.deepStrictEqual( solver.validateSequence( joint.path ), { valid: true } );
+} );
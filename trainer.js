@@ -0,0 +1,194 @@
+/*
+    Trainer for the Hanayama Cast Duet puzzle: practice solving instead of reading the solution.
+
+    A scramble is a random position at a chosen distance (number of moves) from a goal, which is either FREE or
+    the assembled puzzle, for one half ring or for both halves at once. The user then moves thru the legal neighbours
+    of the current position until the goal is reached; the next move and the remaining distance are only given
+    on request, and the attempt is scored against the optimal solution.
+
+        var solver = initSolver();
+        var trainer = initTrainer( solver, initAnalysis(solver) );
+
+        trainer.start( { goal: "free", half: "right", distance: 10 } );
+        trainer.getNeighbors(); // [ { position, move }, ... ]
+        trainer.move( position );
+        trainer.getScore();
+
+    All positions are in the standard notation of the solver.
+*/
+function initTrainer( solver, analysis ) {
+    const ErrorCodes = {
+        InvalidArgument: "INVALID_ARGUMENT" // An option of start is not valid, see the field of the error
+    }
+
+    // Goal positions, for the right half, the left half and both halves
+    const Goals = {
+        free: {
+            right: solver.FreeHalfRing,
+            left: solver.FreeHalfRing,
+            both: solver.FreeHalfRing + solver.JointSeparator + solver.FreeHalfRing
+        },
+        assembled: {
+            right: solver.InitialHalfRingRight,
+            left: solver.InitialHalfRingLeft,
+            both: solver.InitialHalfRingLeft + solver.JointSeparator + solver.InitialHalfRingRight
+        }
+    }
+
+    var session; // The scramble being solved, see start: the other functions can be called only after a start
+
+    // Starts a new scramble. The options are the goal ("free" or "assembled"), the half to practice with ("right",
+    // "left" or "both") and the distance from the goal; random is a function like Math.random (the default).
+    // Returns { ok: true, start, goal, distance } or { ok: false, error: { code, message, field } } if the distance
+    // is not a whole number from 1 to the distance of the farthest positions from the goal.
+    function start( options ) {
+        options = options || {};
+
+        var goals = Goals[options.goal || "free"];
+
+        if( ! goals ) {
+            throw new Error("Unknown goal: " + options.goal);
+        }
+
+        var goal = goals[options.half || "right"];
+
+        if( ! goal ) {
+            throw new Error("Unknown half: " + options.half);
+        }
+
+        var distance = options.distance;
+        var distances = solver.getDistances( goal );
+        var maxDistance = analysis.getMaxDistance( distances );
+
+        if( !(distance >= 1 && distance <= maxDistance && distance == Math.floor(distance)) ) {
+            return {
+                ok: false,
+                error: {
+                    code: ErrorCodes.InvalidArgument,
+                    message: "The distance must be a whole number from 1 to " + maxDistance,
+                    field: "distance"
+                }
+            }
+        }
+
+        var candidates = Object.keys( distances ).filter( function(name) { return distances[name] == distance; } );
+        var startPosition = candidates[ Math.floor( (options.random || Math.random)() * candidates.length ) ];
+
+        session = {
+            start: startPosition,
+            goal: goal,
+            distances: distances,
+            optimal: solver.findSolution( startPosition, goal ).cost,
+            history: [ startPosition ],
+            hints: 0,
+            distanceChecks: 0
+        }
+
+        return {
+            ok: true,
+            start: session.start,
+            goal: session.goal,
+            distance: session.optimal
+        }
+    }
+
+    function getPosition() {
+        return session.history[session.history.length-1];
+    }
+
+    // Returns the positions that can be reached from the current one with a legal move, each with the move
+    // (see solver.describeMoves)
+    function getNeighbors() {
+        var current = getPosition();
+
+        return Object.keys( solver.getMoves(current) ).map( function(position) {
+            return {
+                position: position,
+                move: solver.describeMoves( [ current, position ] )[0]
+            }
+        } );
+    }
+
+    // Moves to a position, which must be a legal neighbour of the current one. Returns true if the move was done.
+    // There's no undo: moves can always be done backwards, and going back counts as a move.
+    function move( position ) {
+        var canonical = solver.canonicalizePosition( position );
+
+        if( isSolved() || ! canonical.ok || ! solver.getMoves( getPosition() )[canonical.position] ) {
+            return false;
+        }
+
+        session.history.push( canonical.position );
+
+        return true;
+    }
+
+    function isSolved() {
+        return getPosition() == session.goal;
+    }
+
+    // Returns the next move of an optimal solution from the current position, as a neighbour (see getNeighbors)
+    function getHint() {
+        var current = getPosition();
+
+        if( isSolved() ) {
+            return;
+        }
+
+        session.hints++;
+
+        return getNeighbors().filter( function(neighbor) {
+            return session.distances[neighbor.position] == session.distances[current] - 1;
+        } )[0];
+    }
+
+    // Returns the number of moves still needed to reach the goal
+    function getRemainingDistance() {
+        session.distanceChecks++;
+
+        return session.distances[ getPosition() ];
+    }
+
+    // Returns the score of the attempt: the moves done, the optimal number of moves, how many hints and distance
+    // checks were requested, and the efficiency in percent (the optimal number of moves over the moves done,
+    // 0 until the goal is reached)
+    function getScore() {
+        var moves = session.history.length - 1;
+
+        return {
+            solved: isSolved(),
+            moves: moves,
+            optimal: session.optimal,
+            hints: session.hints,
+            distanceChecks: session.distanceChecks,
+            efficiency: isSolved() ? Math.round( 100 * session.optimal / moves ) : 0
+        }
+    }
+
+    return {
+        ErrorCodes: ErrorCodes,
+        Goals: Object.keys(Goals),
+
+        start: start,
+        getPosition: getPosition,
+        getNeighbors: getNeighbors,
+        move: move,
+        isSolved: isSolved,
+        getHint: getHint,
+        getRemainingDistance: getRemainingDistance,
+        getScore: getScore,
+        getHistory: function() {
+            return session.history.slice();
+        },
+        getStart: function() {
+            return session.start;
+        },
+        getGoal: function() {
+            return session.goal;
+        }
+    }
+}
+
+if( typeof module !== "undefined" ) {
+    module.exports = initTrainer;
+}